@@ -30,6 +30,10 @@ function updateThemeToggleIcon() {
   }
 }
 
+// MyVMK endpoints used in live mode
+const MYVMK_HITS_URL = "https://www.myvmk.com/api/gethits";
+const MYVMK_TEAMS_URL = "https://www.myvmk.com/api/getsnowteams";
+
 async function loadJSON(path) {
   const res = await fetch(path, { cache: "no-store" });
   if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
@@ -37,38 +41,21 @@ async function loadJSON(path) {
 }
 
 /**
- * Fetch team data from the snow teams API
- * Returns { totals: { Penguin, Reindeer }, rosters: { Penguin: [], Reindeer: [] } }
+ * Fetch team data from the snow teams API. previous is the season's saved
+ * roster, whose players carry over as former members once they leave.
+ * Returns { totals: { Penguin, Reindeer }, rosters: { Penguin: [], Reindeer: [] },
+ *           former, unknownCodes } (see docs/lib/teams.mjs)
  */
-async function fetchTeamData() {
+async function fetchTeamData(teamsUrl = MYVMK_TEAMS_URL, previous = null) {
   try {
-    const res = await fetch("https://www.myvmk.com/api/getsnowteams", { cache: "no-store" });
+    const res = await fetch(teamsUrl, { cache: "no-store" });
     if (!res.ok) return null;
 
     const text = await res.text();
-    // Handle both \r\n and \n line endings
-    const lines = text.trim().split(/\r?\n/).slice(1); // Skip header row
-
-    const rosters = { Penguin: [], Reindeer: [] };
-
-    for (const line of lines) {
-      const parts = line.split(",");
-      const username = parts[0]?.trim();
-      const team = parts[1]?.trim();
-      if (username) {
-        if (team === "1") rosters.Penguin.push(username);
-        else if (team === "0") rosters.Reindeer.push(username);
-      }
-    }
-
-    // Sort rosters alphabetically
-    rosters.Penguin.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
-    rosters.Reindeer.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+    const { records, errors, skipped } = csvLib.readCSVRecords(text, { columns: csvLib.TEAMS_COLUMNS });
+    if (skipped) console.warn(`Skipped ${skipped} malformed team row(s):`, errors);
 
-    return {
-      totals: { Penguin: rosters.Penguin.length, Reindeer: rosters.Reindeer.length },
-      rosters
-    };
+    return teamsLib.buildTeamRoster(records, previous);
   } catch (err) {
     console.warn("Failed to fetch team data:", err);
     return null;
@@ -85,7 +72,7 @@ function renderTeamRosters(teamData, penguinFilter = "", reindeerFilter = "") {
   const reindeerCount = document.getElementById("reindeerRosterCount");
 
   if (!teamData || !teamData.rosters) {
-    // No data available (e.g., pre-reset mode)
+    // No data available (e.g., archived season)
     if (penguinTable) penguinTable.innerHTML = "<tr><td style='color:var(--text-muted);'>Team roster not available</td></tr>";
     if (reindeerTable) reindeerTable.innerHTML = "<tr><td style='color:var(--text-muted);'>Team roster not available</td></tr>";
     if (penguinCount) penguinCount.textContent = "";
@@ -145,9 +132,30 @@ function renderTeamRosters(teamData, penguinFilter = "", reindeerFilter = "") {
 // Store team data globally for filtering
 let currentTeamData = null;
 
+// Last roster from the static build or a live fetch. Live refreshes build on
+// it, so a teams file opened locally never turns into "former" members.
+let seasonTeamData = null;
+
 // Room ID to name mapping (loaded once)
 let roomMapping = null;
 
+// Modules in docs/lib (battles.mjs is shared with the build script), loaded once in main()
+let battlesLib = null;
+let filterLib = null;
+let liveDataLib = null;
+let csvLib = null;
+let teamsLib = null;
+
+async function loadSharedLibs() {
+  [battlesLib, filterLib, liveDataLib, csvLib, teamsLib] = await Promise.all([
+    import("./lib/battles.mjs"),
+    import("./lib/filter.mjs"),
+    import("./lib/live-data.mjs"),
+    import("./lib/csv.mjs"),
+    import("./lib/teams.mjs")
+  ]);
+}
+
 /**
  * Load room mapping from static JSON
  */
@@ -162,34 +170,13 @@ async function loadRoomMapping() {
   }
 }
 
-/**
- * Sum adjusted point values per attacker team.
- */
-function computeTeamAdjustedPoints(events) {
-  const totals = { Penguin: 0, Reindeer: 0, Unknown: 0 };
-  if (!Array.isArray(events)) return totals;
-
-  for (const evt of events) {
-    const value = Number(evt?.value);
-    if (!Number.isFinite(value)) continue;
-
-    const team = evt?.attackerTeam === "Penguin" || evt?.attackerTeam === "Reindeer"
-      ? evt.attackerTeam
-      : "Unknown";
-
-    totals[team] += value;
-  }
-
-  return totals;
-}
-
 /**
  * Ensure summary has adjustedPoints populated from events.
  */
 function applyAdjustedPointsToSummary(summary, events) {
   if (!summary) return summary;
 
-  const adjusted = computeTeamAdjustedPoints(events);
+  const adjusted = liveDataLib.computeTeamAdjustedPoints(events);
   summary.teamStats = summary.teamStats || {};
 
   ["Penguin", "Reindeer", "Unknown"].forEach(team => {
@@ -201,140 +188,66 @@ function applyAdjustedPointsToSummary(summary, events) {
   return summary;
 }
 
-function safeRatio(attacks, hitsTaken) {
-  if (!hitsTaken) return attacks ? attacks / 1 : 0;
-  return attacks / hitsTaken;
-}
-
-const BATTLE_MIN_HITS = 30;
-const BATTLE_MAX_GAP_SECONDS = 120;
-
-function parseEventTime(str) {
-  if (!str) return null;
-  const [datePart, timePart] = str.split(" ");
-  if (!datePart || !timePart) return null;
-  const [year, month, day] = datePart.split("-").map(Number);
-  const [hour, minute, second] = timePart.split(":").map(Number);
-  if ([year, month, day, hour, minute, second].some(v => Number.isNaN(v))) return null;
-  return new Date(year, month - 1, day, hour, minute, second);
-}
-
-function detectBattles(events) {
-  const byRoom = new Map();
-  events.forEach(evt => {
-    const room = evt.roomName || evt.roomId || "Unknown";
-    if (!byRoom.has(room)) byRoom.set(room, []);
-    byRoom.get(room).push(evt);
-  });
-
-  const battles = [];
-
-  for (const [roomName, roomEvents] of byRoom.entries()) {
-    const sorted = [...roomEvents]
-      .map(e => ({ ...e, __t: parseEventTime(e.time) }))
-      .filter(e => e.__t)
-      .sort((a, b) => a.__t - b.__t);
-
-    if (!sorted.length) continue;
+/**
+ * Build the live dataset in a module worker so the page stays responsive,
+ * reporting progress through onProgress(message). Falls back to the main
+ * thread where module workers aren't supported.
+ */
+function buildLiveDatasetOffThread(input, onProgress) {
+  const runInline = () => liveDataLib.buildLiveDataset({ ...input, onProgress });
+  if (typeof Worker === "undefined") return Promise.resolve().then(runInline);
 
-    let cluster = [];
-    let prev = null;
-    let roomCounter = 1;
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker("./live-worker.mjs", { type: "module" });
+    } catch (err) {
+      console.warn("Live data worker unavailable, processing on the main thread:", err);
+      resolve(runInline());
+      return;
+    }
 
-    const flush = () => {
-      if (!cluster.length) return;
-      const hitCount = cluster.length;
-      if (hitCount < BATTLE_MIN_HITS) {
-        cluster = [];
+    let started = false;
+    worker.onmessage = ({ data }) => {
+      started = true;
+      if (data.type === "progress") {
+        onProgress(data.message);
         return;
       }
-
-      const start = cluster[0].__t;
-      const end = cluster[cluster.length - 1].__t;
-      const durationMinutes = Math.max(1, Math.round((end - start) / 60000));
-
-      const byUser = new Map();
-      const userSet = new Set();
-
-      cluster.forEach(evt => {
-        if (evt.attacker) {
-          userSet.add(evt.attacker);
-          const s = byUser.get(evt.attacker) || { user: evt.attacker, team: evt.attackerTeam || "Unknown", attacks: 0, hitsTaken: 0 };
-          s.attacks++;
-          byUser.set(evt.attacker, s);
-        }
-        if (evt.victim) {
-          userSet.add(evt.victim);
-          const s = byUser.get(evt.victim) || { user: evt.victim, team: evt.victimTeam || "Unknown", attacks: 0, hitsTaken: 0 };
-          s.hitsTaken++;
-          byUser.set(evt.victim, s);
-        }
-      });
-
-      const participants = [...byUser.values()].map(p => ({
-        ...p,
-        ratio: safeRatio(p.attacks, p.hitsTaken)
-      })).sort((a, b) => (b.attacks + b.hitsTaken) - (a.attacks + a.hitsTaken));
-
-      const topAttackers = [...participants]
-        .filter(p => p.attacks > 0)
-        .sort((a, b) => b.attacks - a.attacks)
-        .slice(0, 3)
-        .map(p => ({ user: p.user, team: p.team, attacks: p.attacks }));
-
-      const topVictims = [...participants]
-        .filter(p => p.hitsTaken > 0)
-        .sort((a, b) => b.hitsTaken - a.hitsTaken)
-        .slice(0, 3)
-        .map(p => ({ user: p.user, team: p.team, hitsTaken: p.hitsTaken }));
-
-      battles.push({
-        id: `${roomName}-${roomCounter++}`,
-        roomName,
-        start: start.toISOString(),
-        end: end.toISOString(),
-        durationMinutes,
-        hitCount,
-        uniqueUsers: userSet.size,
-        topAttackers,
-        topVictims,
-        participants
-      });
-
-      cluster = [];
+      worker.terminate();
+      if (data.type === "done") resolve(data.dataset);
+      else reject(new Error(data.message));
     };
-
-    for (const evt of sorted) {
-      if (!prev) {
-        cluster.push(evt);
-        prev = evt.__t;
-        continue;
+    // An error before any message means the worker itself failed to load
+    worker.onerror = (event) => {
+      worker.terminate();
+      if (started) {
+        reject(new Error(event.message || "Live data worker failed"));
+        return;
       }
-      const gapSeconds = (evt.__t - prev) / 1000;
-      if (gapSeconds <= BATTLE_MAX_GAP_SECONDS) {
-        cluster.push(evt);
-      } else {
-        flush();
-        cluster = [evt];
+      event.preventDefault?.();
+      console.warn("Live data worker failed to start, processing on the main thread:", event.message);
+      try {
+        resolve(runInline());
+      } catch (err) {
+        reject(err);
       }
-      prev = evt.__t;
-    }
-
-    flush();
-  }
-
-  return battles.sort((a, b) => new Date(b.start) - new Date(a.start));
+    };
+    worker.postMessage(input);
+  });
 }
 
 /**
- * Fetch and process live data directly from MyVMK APIs
- * Returns { summary, users, events, roomsSummary, teamData }
+ * Fetch the hits and teams CSVs (MyVMK by default, or a mock endpoint) and
+ * process them off the main thread.
+ * Returns { summary, users, events, roomsSummary, teamData, battles,
+ *           victimBreakdown, attackerBreakdown, heatmap }
  */
-async function fetchLiveData() {
+async function fetchLiveData({ hitsUrl = MYVMK_HITS_URL, teamsUrl = MYVMK_TEAMS_URL } = {}, onProgress = () => {}) {
   // Fetch all data in parallel
   const [hitsResponse, teamsResponse, rooms] = await Promise.all([
-    fetch("https://www.myvmk.com/api/gethits", { cache: "no-store" }),
-    fetch("https://www.myvmk.com/api/getsnowteams", { cache: "no-store" }),
+    fetch(hitsUrl, { cache: "no-store" }),
+    fetch(teamsUrl, { cache: "no-store" }),
     loadRoomMapping()
   ]);
 
@@ -343,155 +256,17 @@ async function fetchLiveData() {
 
   const hitsText = await hitsResponse.text();
   const teamsText = await teamsResponse.text();
+  // Archived rosters belong to another season, so only carry over the current one
+  const previousTeams = state.dataMode === "live" ? seasonTeamData : null;
 
-  // Parse teams CSV -> { username: team }
-  const teamMap = {};
-  const rosters = { Penguin: [], Reindeer: [] };
-  const teamsLines = teamsText.trim().split(/\r?\n/).slice(1);
-  for (const line of teamsLines) {
-    const [username, team] = line.split(",").map(s => s?.trim());
-    if (username && team) {
-      const teamName = team === "1" ? "Penguin" : "Reindeer";
-      teamMap[username.toLowerCase()] = teamName;
-      rosters[teamName].push(username);
-    }
-  }
-  rosters.Penguin.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
-  rosters.Reindeer.sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
-
-  // Parse hits CSV
-  const hitsLines = hitsText.trim().split(/\r?\n/).slice(1);
-  const events = [];
-  const userStats = {};
-  const roomStats = {};
-
-  for (const line of hitsLines) {
-    const parts = line.split(",");
-    if (parts.length < 4) continue;
-
-    const time = parts[0]?.trim();
-    const attacker = parts[1]?.trim();
-    const victim = parts[2]?.trim();
-    const roomId = parts[3]?.trim();
-    const value = Number(parts[4]?.trim());
-
-    if (!attacker || !victim) continue;
-
-    const attackerTeam = teamMap[attacker.toLowerCase()] || "Unknown";
-    const victimTeam = teamMap[victim.toLowerCase()] || "Unknown";
-    const roomName = rooms[roomId] || `Room ${roomId}`;
-
-    // Build event
-    events.push({
-      time,
-      attacker,
-      victim,
-      attackerTeam,
-      victimTeam,
-      roomName,
-      value: Number.isFinite(value) ? value : 0
-    });
-
-    // Track attacker stats
-    if (!userStats[attacker]) {
-      userStats[attacker] = { attacks: 0, hitsTaken: 0, team: attackerTeam };
-    }
-    userStats[attacker].attacks++;
-
-    // Track victim stats
-    if (!userStats[victim]) {
-      userStats[victim] = { attacks: 0, hitsTaken: 0, team: victimTeam };
-    }
-    userStats[victim].hitsTaken++;
-
-    // Track room stats
-    if (!roomStats[roomName]) {
-      roomStats[roomName] = { hitCount: 0, users: new Set() };
-    }
-    roomStats[roomName].hitCount++;
-    roomStats[roomName].users.add(attacker);
-  }
-
-  // Build users array
-  const users = Object.entries(userStats).map(([user, stats]) => ({
-    user,
-    team: stats.team,
-    attacks: stats.attacks,
-    hitsTaken: stats.hitsTaken,
-    ratio: stats.hitsTaken > 0 ? stats.attacks / stats.hitsTaken : stats.attacks
-  })).sort((a, b) => b.attacks - a.attacks);
-
-  // Build team stats
-  const adjustedPointsByTeam = computeTeamAdjustedPoints(events);
-  const teamStats = {
-    Penguin: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Penguin || 0 },
-    Reindeer: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Reindeer || 0 },
-    Unknown: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Unknown || 0 }
-  };
-  users.forEach(u => {
-    if (u.team === "Penguin" || u.team === "Reindeer") {
-      teamStats[u.team].users++;
-      teamStats[u.team].attacks += u.attacks;
-      teamStats[u.team].hitsTaken += u.hitsTaken;
-    }
-  });
-
-  // Build rooms summary
-  const roomsSummary = Object.entries(roomStats)
-    .map(([roomName, stats]) => {
-      const roomUsers = Array.from(stats.users);
-      const avgRatio = roomUsers.reduce((sum, u) => {
-        const user = users.find(usr => usr.user === u);
-        return sum + (user?.ratio || 1);
-      }, 0) / (roomUsers.length || 1);
-
-      return {
-        roomName,
-        hitCount: stats.hitCount,
-        avgUserRatio: Math.round(avgRatio * 100) / 100,
-        activeUsers: roomUsers.length
-      };
-    })
-    .sort((a, b) => b.hitCount - a.hitCount);
-
-  // Build scatter points
-  const scatterPoints = users.map(u => ({
-    user: u.user,
-    team: u.team,
-    attacks: u.attacks,
-    hitsTaken: u.hitsTaken
-  }));
-
-  // Build top attackers/victims
-  const topAttackers = [...users].sort((a, b) => b.attacks - a.attacks).slice(0, 10);
-  const topVictims = [...users].sort((a, b) => b.hitsTaken - a.hitsTaken).slice(0, 10);
-
-  // Build summary
-  const summary = {
-    generatedAt: new Date().toISOString(),
-    totalRows: events.length,
-    totalUsers: users.length,
-    teamStats,
-    scatterPoints,
-    topAttackers,
-    topVictims
-  };
-
-  const battles = detectBattles(events);
-
-  applyAdjustedPointsToSummary(summary, events);
-
-  // Build team data for roster display
-  const teamData = {
-    totals: { Penguin: rosters.Penguin.length, Reindeer: rosters.Reindeer.length },
-    rosters
-  };
-
-  return { summary, users, events, roomsSummary, teamData, battles };
+  return buildLiveDatasetOffThread(
+    { hitsText, teamsText, previousTeams, rooms, generatedAt: new Date().toISOString() },
+    onProgress
+  );
 }
 
 /**
- * Refresh dashboard with live API data
+ * Refresh dashboard with live API data, falling back to the static files
  */
 async function refreshFromAPI() {
   const refreshBtn = document.getElementById("refreshDataBtn");
@@ -501,172 +276,8 @@ async function refreshFromAPI() {
     // Show loading state
     if (refreshBtn) refreshBtn.disabled = true;
     if (refreshIcon) refreshIcon.style.animation = "spin 1s linear infinite";
-    document.getElementById("meta").textContent = "Fetching live data from API...";
-
-    const { summary, users, events, roomsSummary, teamData, battles } = await fetchLiveData();
-
-    // Clear fallback state on successful API fetch
-    state.usingFallback = false;
-    state.fallbackTimestamp = null;
-    updateFallbackBanner();
-
-    // Update state
-    state.allUsers = users;
-    state.usersIndex = new Map(users.map(u => [u.user, u]));
-    state.allEvents = events;
-    state.victimBreakdown = buildVictimBreakdown(events);
-    state.attackerBreakdown = buildAttackerBreakdown(events);
-    currentTeamData = teamData;
-    state.allBattles = battles || [];
-    state.selectedBattleId = null;
-
-    // Update metadata
-    document.getElementById("meta").textContent =
-      `Live data fetched: ${new Date().toLocaleString()} | ` +
-      `${summary.totalRows?.toLocaleString() || 0} events | ` +
-      `${summary.totalUsers?.toLocaleString() || 0} users`;
-
-    // Render components
-    renderTeamStats(summary, teamData?.totals);
-    renderTopLists(summary);
-    renderTeamRosters(teamData);
-    renderBattlesTable();
-
-    // Clear roster search inputs
-    const penguinSearch = document.getElementById("penguinRosterSearch");
-    const reindeerSearch = document.getElementById("reindeerRosterSearch");
-    if (penguinSearch) penguinSearch.value = "";
-    if (reindeerSearch) reindeerSearch.value = "";
-
-    // Apply filter/sort and rebuild tables
-    applyFilterSort();
-    buildUsersTable();
-    updateSelectionUI();
-
-    // Destroy and recreate charts
-    if (state.scatterChart) {
-      state.scatterChart.destroy();
-      state.scatterChart = null;
-    }
-    if (state.roomsChart) {
-      state.roomsChart.destroy();
-      state.roomsChart = null;
-    }
-    if (state.dailyChart) {
-      state.dailyChart.destroy();
-      state.dailyChart = null;
-    }
-
-    createScatter(document.getElementById("scatter"), summary);
-    createRoomsChart(document.getElementById("roomsChart"), roomsSummary);
-    createDailyChart(document.getElementById("dailyChart"), events);
-
-    // Render tables
-    renderVictimBreakdownTable();
-    renderAttackerBreakdownTable();
-    populateRoomFilter();
-    renderEventsTable();
-    renderHeatmap();
-
-    // Update admin panel if visible
-    if (isAdminMode()) {
-      renderCloneDetection();
-      renderTraitors();
-    }
-
-  } catch (err) {
-    console.error("Failed to refresh from API:", err);
-    document.getElementById("meta").textContent = "API unavailable, loading cached data...";
-
-    // Fall back to static data
-    try {
-      const basePath = getDataPath();
-      const [summary, users, roomsSummary, events, battles] = await Promise.all([
-        loadJSON(`${basePath}/summary.json`),
-        loadJSON(`${basePath}/users.json`),
-        loadJSON(`${basePath}/rooms_summary.json`),
-        loadJSON(`${basePath}/events.json`),
-        loadJSON(`${basePath}/battles.json`).catch(() => [])
-      ]);
-
-      // Set fallback state
-      state.usingFallback = true;
-      state.fallbackTimestamp = summary.generatedAt;
-      updateFallbackBanner();
-
-      applyAdjustedPointsToSummary(summary, events);
-
-      // Update state with fallback data
-      state.allUsers = users;
-      state.usersIndex = new Map(users.map(u => [u.user, u]));
-      state.allEvents = events;
-      state.victimBreakdown = buildVictimBreakdown(events);
-      state.attackerBreakdown = buildAttackerBreakdown(events);
-      state.allBattles = battles || [];
-      state.selectedBattleId = null;
-
-      // Try to fetch team data separately (may still work even if hits API is down)
-      const teamData = await fetchTeamData().catch(() => null);
-      currentTeamData = teamData;
-
-      // Update metadata
-      document.getElementById("meta").textContent =
-        `Cached data from: ${new Date(summary.generatedAt).toLocaleString()} | ` +
-        `${summary.totalRows?.toLocaleString() || 0} events | ` +
-        `${summary.totalUsers?.toLocaleString() || 0} users`;
-
-      // Render components
-      renderTeamStats(summary, teamData?.totals);
-      renderTopLists(summary);
-      renderTeamRosters(teamData);
-      renderBattlesTable();
-
-      // Clear roster search inputs
-      const penguinSearch = document.getElementById("penguinRosterSearch");
-      const reindeerSearch = document.getElementById("reindeerRosterSearch");
-      if (penguinSearch) penguinSearch.value = "";
-      if (reindeerSearch) reindeerSearch.value = "";
-
-      // Apply filter/sort and rebuild tables
-      applyFilterSort();
-      buildUsersTable();
-      updateSelectionUI();
-
-      // Destroy and recreate charts
-      if (state.scatterChart) {
-        state.scatterChart.destroy();
-        state.scatterChart = null;
-      }
-      if (state.roomsChart) {
-        state.roomsChart.destroy();
-        state.roomsChart = null;
-      }
-      if (state.dailyChart) {
-        state.dailyChart.destroy();
-        state.dailyChart = null;
-      }
-
-      createScatter(document.getElementById("scatter"), summary);
-      createRoomsChart(document.getElementById("roomsChart"), roomsSummary);
-      createDailyChart(document.getElementById("dailyChart"), events);
-
-      // Render tables
-      renderVictimBreakdownTable();
-      renderAttackerBreakdownTable();
-      populateRoomFilter();
-      renderEventsTable();
-      renderHeatmap();
-
-      // Update admin panel if visible
-      if (isAdminMode()) {
-        renderCloneDetection();
-        renderTraitors();
-      }
 
-    } catch (fallbackErr) {
-      console.error("Failed to load fallback data:", fallbackErr);
-      document.getElementById("meta").textContent = `Error: ${err.message}. Fallback also failed.`;
-    }
+    await runDataPipeline([getLiveSource(), "static"]);
   } finally {
     // Reset button state
     if (refreshBtn) refreshBtn.disabled = false;
@@ -691,6 +302,26 @@ function escapeHtml(str) {
   }[c]));
 }
 
+/**
+ * Team badge, with the rule that assigned the team (docs/lib/teams.mjs) as its
+ * tooltip. Teams that weren't read straight off the roster get a dashed outline.
+ */
+function teamPill(team, rule) {
+  const text = rule ? teamsLib?.TEAM_RULES[rule] : null;
+  const inferred = text && rule !== "roster" && rule !== "unlisted" ? " inferred" : "";
+  const title = text ? ` title="${escapeHtml(text)}"` : "";
+  return `<span class="pill ${escapeHtml(team.toLowerCase())}${inferred}"${title}>${escapeHtml(team)}</span>`;
+}
+
+/**
+ * A username that opens the user's profile drawer when clicked
+ */
+function userLink(user) {
+  if (!user) return "";
+  const name = escapeHtml(user);
+  return `<span class="user-link" data-profile="${name}" role="button" tabindex="0">${name}</span>`;
+}
+
 /**
  * Copy section link to clipboard
  */
@@ -698,8 +329,18 @@ function copySectionLink(sectionId, button) {
   // Check if this is an admin section
   const adminSections = ["suspicious-detection", "traitors-section"];
   const needsAdmin = adminSections.includes(sectionId);
-  const queryString = needsAdmin ? "?admin=true" : "";
+  // Carry the current view settings (see URL_STATE) along with the section
+  const params = new URLSearchParams(window.location.search);
+  if (needsAdmin) params.set("admin", "true");
+  const queryString = params.toString() ? `?${params}` : "";
   const url = `${window.location.origin}${window.location.pathname}${queryString}#${sectionId}`;
+  copyLinkToClipboard(url, button);
+}
+
+/**
+ * Copy a URL and flash "Copied!" on the button that triggered it
+ */
+function copyLinkToClipboard(url, button) {
   navigator.clipboard.writeText(url).then(() => {
     // Show feedback
     button.classList.add("copied");
@@ -719,6 +360,124 @@ function parseSearchNames(input) {
   return input.split(",").map(s => s.trim()).filter(Boolean).map(s => s.toLowerCase());
 }
 
+// View settings mirrored in the query string, so a shared link reproduces
+// the view. Each entry reads (get) and restores (set) one param; `control` is
+// the input showing it. Values equal to the page defaults are left out.
+const URL_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function urlStateText(param, key, control) {
+  return { param, control, get: () => state[key], set: v => { state[key] = v; } };
+}
+
+function urlStateDate(param, key, control) {
+  return { param, control, get: () => state[key], set: v => { if (URL_DATE_RE.test(v)) state[key] = v; } };
+}
+
+function urlStateCount(param, key, control) {
+  return {
+    param,
+    control,
+    get: () => String(state[key]),
+    set: v => {
+      const n = parseInt(v, 10);
+      if (Number.isFinite(n)) state[key] = Math.max(1, n);
+    }
+  };
+}
+
+const URL_STATE = [
+  {
+    param: "season",
+    control: "seasonSelect",
+    get: () => state.dataMode,
+    set: v => { if (v === "live" || getSeason(v)) state.dataMode = v; }
+  },
+  {
+    param: "q",
+    control: "userSearch",
+    get: () => state.query,
+    set: v => {
+      state.query = v;
+      const names = parseSearchNames(v);
+      state.searchNames = names.length > 1 ? names : [];
+    }
+  },
+  urlStateText("filter", "filterExpr", "filterExpr"),
+  urlStateText("team", "teamFilter", "teamFilter"),
+  {
+    param: "sort",
+    control: "sortSelect",
+    get: () => `${state.sortKey}-${state.sortDir}`,
+    set: v => {
+      const match = v.match(/^(\w+)-(asc|desc)$/);
+      if (match) [, state.sortKey, state.sortDir] = match;
+    }
+  },
+  {
+    param: "users",
+    get: () => [...state.selectedUsers].join(","),
+    set: v => { state.selectedUsers = new Set(v.split(",").map(u => u.trim()).filter(Boolean)); }
+  },
+  urlStateText("evSearch", "eventsSearch", "eventsSearch"),
+  urlStateText("evQuery", "eventsQuery", "eventsQuery"),
+  urlStateText("evTeam", "eventsTeamFilter", "eventsTeamFilter"),
+  urlStateText("evRoom", "eventsRoomFilter", "eventsRoomFilter"),
+  urlStateDate("evFrom", "eventsDateFrom", "eventsDateFrom"),
+  urlStateDate("evTo", "eventsDateTo", "eventsDateTo"),
+  urlStateText("evSort", "eventsSort", "eventsSort"),
+  urlStateText("victimSearch", "victimSearch", "victimTableSearch"),
+  urlStateText("victimTeam", "victimTeamFilter", "victimTableTeam"),
+  urlStateText("attackerSearch", "attackerSearch", "attackerTableSearch"),
+  urlStateText("attackerTeam", "attackerTeamFilter", "attackerTableTeam"),
+  urlStateText("race", "timelineMetric", "timelineMetric"),
+  urlStateText("raceBy", "timelineResolution"),
+  urlStateCount("battleMinHits", "battleMinHits", "battleMinHits"),
+  urlStateCount("battleMaxGap", "battleMaxGapSeconds", "battleMaxGap"),
+  urlStateText("battleRoom", "battleRoomFilter", "battleRoomFilter"),
+  urlStateDate("battleFrom", "battleDateFrom", "battleDateFrom"),
+  urlStateDate("battleTo", "battleDateTo", "battleDateTo")
+];
+
+// Page defaults, captured before anything is restored
+let urlStateDefaults = null;
+
+/**
+ * Restore view settings from the query string and show them in their controls
+ */
+function readURLState() {
+  urlStateDefaults = new Map(URL_STATE.map(entry => [entry.param, entry.get()]));
+
+  const params = new URLSearchParams(window.location.search);
+  for (const entry of URL_STATE) {
+    const value = params.get(entry.param);
+    if (value != null) entry.set(value);
+  }
+
+  for (const entry of URL_STATE) {
+    const control = entry.control && document.getElementById(entry.control);
+    if (control) control.value = entry.get();
+  }
+}
+
+/**
+ * Mirror the current view settings into the query string, keeping the hash
+ * and any params this doesn't own (like admin=true)
+ */
+function writeURLState() {
+  if (!urlStateDefaults) return;
+  const params = new URLSearchParams(window.location.search);
+  for (const entry of URL_STATE) {
+    const value = entry.get();
+    if (value === urlStateDefaults.get(entry.param)) params.delete(entry.param);
+    else params.set(entry.param, value);
+  }
+  const query = params.toString();
+  const url = `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    history.replaceState(null, "", url);
+  }
+}
+
 /**
  * Initialize a combo box with autocomplete for user search
  * @param {string} inputId - The input element ID
@@ -949,15 +708,30 @@ const state = {
   sortKey: "attacks",
   sortDir: "desc",
   selectedUsers: new Set(),
+  // User profile drawer
+  profileUser: null,
+  profileCharts: [],
   scatterChart: null,
   scatterBasePoints: [],
   regressionData: {},
   roomsChart: null,
   dailyChart: null,
+  // Head-to-head matchup timeline
+  h2hChart: null,
+  // Team race timeline
+  timelineChart: null,
+  // Battle timeline (one lane per room)
+  battleTimelineChart: null,
+  battleTimelineKey: "",
+  timelineResolution: "daily",
+  timelineMetric: "attacks",
   // Events table state
   allEvents: [],
+  // False while only some day shards are loaded (see eventStore)
+  eventsComplete: true,
   filteredEvents: [],
   eventsSearch: "",
+  eventsQuery: "",
   eventsTeamFilter: "All",
   eventsRoomFilter: "All",
   eventsDateFrom: "",
@@ -972,46 +746,103 @@ const state = {
   attackerBreakdown: [],
   attackerSearch: "",
   attackerTeamFilter: "All",
-  // Data mode: "live" or "pre-reset"
+  // Data mode: "live" or the id of an archived season from seasons.json
   dataMode: "live",
+  seasons: [],
   // Battles
   allBattles: [],
+  // Battles as shipped (battles.json or the live default clustering)
+  baseBattles: [],
   battleRoomFilter: "All",
   battleMinHits: 30,
+  battleMaxGapSeconds: 120,
+  battleDateFrom: "",
+  battleDateTo: "",
   selectedBattleId: null,
   // Fallback state when live API is unavailable
   usingFallback: false,
-  fallbackTimestamp: null
+  fallbackTimestamp: null,
+  // Where the current data came from: { source, fallbackFrom, ... } (see runDataPipeline)
+  provenance: null
 };
 
+/**
+ * Load the archived seasons manifest written by scripts/archive-season.mjs.
+ * Seasons are kept newest first.
+ */
+async function loadSeasons() {
+  try {
+    const manifest = await loadJSON("./data/seasons.json");
+    state.seasons = (manifest.seasons || [])
+      .filter(s => s.id && s.path)
+      .sort((a, b) => (b.end || "").localeCompare(a.end || ""));
+  } catch (err) {
+    console.warn("Failed to load seasons manifest:", err);
+    state.seasons = [];
+  }
+  return state.seasons;
+}
+
+function getSeason(id) {
+  return state.seasons.find(s => s.id === id) || null;
+}
+
+/**
+ * Most recently archived season, i.e. the one before the live season.
+ */
+function getPreviousSeason() {
+  return state.seasons[0] || null;
+}
+
 /**
  * Get the data path based on current data mode
  */
 function getDataPath() {
-  return state.dataMode === "pre-reset" ? "./data/archive/pre-reset" : "./data";
+  const season = getSeason(state.dataMode);
+  return season ? `./data/${season.path}` : "./data";
+}
+
+function formatSeasonRange(season) {
+  const fmtDay = d => new Date(`${d}T00:00:00`).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+  if (season.start && season.end) return `${fmtDay(season.start)} – ${fmtDay(season.end)}`;
+  if (season.end) return `until ${fmtDay(season.end)}`;
+  if (season.start) return `from ${fmtDay(season.start)}`;
+  return "";
 }
 
 /**
- * Update data mode toggle UI
+ * Update data mode (season picker) UI
  */
 function updateDataModeUI() {
-  const liveBtn = document.getElementById("dataModeLive");
-  const preResetBtn = document.getElementById("dataModePreReset");
+  const select = document.getElementById("seasonSelect");
+  if (!select) return;
 
-  if (liveBtn && preResetBtn) {
-    liveBtn.classList.toggle("active", state.dataMode === "live");
-    preResetBtn.classList.toggle("active", state.dataMode === "pre-reset");
-  }
+  const options = [`<option value="live">Live (current season)</option>`]
+    .concat(state.seasons.map(s => {
+      const range = formatSeasonRange(s);
+      return `<option value="${escapeHtml(s.id)}">${escapeHtml(s.label || s.id)}${range ? ` (${escapeHtml(range)})` : ""}</option>`;
+    }));
+  select.innerHTML = options.join("");
+  select.value = state.dataMode;
 }
 
 /**
- * Update fallback warning banner visibility and message
+ * Update fallback warning banner visibility and message. The same banner
+ * labels data loaded from a local file.
  */
 function updateFallbackBanner() {
   const banner = document.getElementById("fallbackBanner");
   if (!banner) return;
 
-  if (state.usingFallback && state.dataMode === "live") {
+  banner.classList.toggle("local-file", state.provenance?.source === "file");
+  if (state.provenance?.source === "file") {
+    const season = getSeason(state.dataMode);
+    banner.innerHTML = `<span class="fallback-icon">📂</span> Local file: ${escapeHtml(state.provenance.detail)}` +
+      ` — analyzed in your browser, nothing was uploaded` +
+      ` <button class="chip-btn" id="closeLocalFileBtn">Back to ${escapeHtml(season ? season.label || season.id : "live data")}</button>`;
+    banner.style.display = "block";
+    document.getElementById("closeLocalFileBtn").onclick = () => loadAndRefreshData();
+  } else if (state.usingFallback && state.dataMode === "live") {
     const timestamp = state.fallbackTimestamp
       ? new Date(state.fallbackTimestamp).toLocaleString()
       : "unknown";
@@ -1023,214 +854,757 @@ function updateFallbackBanner() {
 }
 
 /**
- * Load all data and refresh the entire dashboard
+ * Day-sharded event store for static data.
+ * The build writes events/index.json plus one compact shard per day; shards
+ * are fetched on demand and cached until the data path changes.
  */
-async function loadAndRefreshData() {
-  const basePath = getDataPath();
-
-  try {
-    document.getElementById("meta").textContent = "Loading data...";
-
-    const battlesPromise = loadJSON(`${basePath}/battles.json`).catch(() => []);
-
-    // Load data files and fetch team data in parallel
-    const [summary, users, roomsSummary, events, teamData, battles] = await Promise.all([
-      loadJSON(`${basePath}/summary.json`),
-      loadJSON(`${basePath}/users.json`),
-      loadJSON(`${basePath}/rooms_summary.json`),
-      loadJSON(`${basePath}/events.json`),
-      // Only fetch live team data for live mode (pre-reset teams no longer exist in API)
-      state.dataMode === "live" ? fetchTeamData() : Promise.resolve(null),
-      battlesPromise
-    ]);
-
-    applyAdjustedPointsToSummary(summary, events);
-
-    // Clear fallback state when loading from static files succeeds
-    state.usingFallback = false;
-    state.fallbackTimestamp = null;
-    updateFallbackBanner();
-
-    // Update metadata with data mode indicator
-    const modeLabel = state.dataMode === "pre-reset" ? " [PRE-RESET]" : "";
-    document.getElementById("meta").textContent =
-      `Last updated: ${new Date(summary.generatedAt).toLocaleString()}${modeLabel} | ` +
-      `${summary.totalRows?.toLocaleString() || 0} events | ` +
-      `${summary.totalUsers?.toLocaleString() || 0} users`;
-
-    // Update state
-    state.allUsers = users;
-    state.usersIndex = new Map(users.map(u => [u.user, u]));
-    state.allEvents = events;
-    state.victimBreakdown = buildVictimBreakdown(events);
-    state.attackerBreakdown = buildAttackerBreakdown(events);
-
-    state.allBattles = battles || [];
-    state.selectedBattleId = null;
-
-    // Store team data for roster filtering
-    currentTeamData = teamData;
-
-    // Render components (pass team totals for accurate member counts)
-    renderTeamStats(summary, teamData?.totals);
-    renderTopLists(summary);
-    renderTeamRosters(teamData);
-    renderBattlesTable();
-
-    // Clear roster search inputs
-    const penguinSearch = document.getElementById("penguinRosterSearch");
-    const reindeerSearch = document.getElementById("reindeerRosterSearch");
-    if (penguinSearch) penguinSearch.value = "";
-    if (reindeerSearch) reindeerSearch.value = "";
+const eventStore = {
+  basePath: null,
+  index: null,
+  days: new Map()
+};
 
-    // Apply initial filter/sort
-    applyFilterSort();
-    buildUsersTable();
-    updateSelectionUI();
+// Bumped on every runDataPipeline so stale loads are ignored
+let dataLoadToken = 0;
 
-    // Destroy existing charts before recreating
-    if (state.scatterChart) {
-      state.scatterChart.destroy();
-      state.scatterChart = null;
-    }
-    if (state.roomsChart) {
-      state.roomsChart.destroy();
-      state.roomsChart = null;
-    }
-    if (state.dailyChart) {
-      state.dailyChart.destroy();
-      state.dailyChart = null;
-    }
+// Number of most recent days fetched before the first render
+const INITIAL_EVENT_DAYS = 7;
 
-    // Create charts
-    createScatter(document.getElementById("scatter"), summary);
-    createRoomsChart(document.getElementById("roomsChart"), roomsSummary);
-    createDailyChart(document.getElementById("dailyChart"), events);
+// Sections that need every day of the season. The rest of the shards are only
+// fetched once one of these scrolls into view, or another view asks for them
+// (see requestSeasonEvents).
+const SEASON_EVENT_SECTIONS = [
+  "head-to-head", "rivalries", "heatmap-section", "team-race", "victim-breakdown",
+  "attacker-breakdown", "network-graph", "suspicious-detection", "traitors-section"
+];
 
-    // Render tables
-    renderVictimBreakdownTable();
-    renderAttackerBreakdownTable();
-    populateRoomFilter();
-    renderEventsTable();
+// Pending load of the season's remaining shards: { token, summary, promise, observer }
+let seasonEventsLoad = null;
 
-    // Render heatmap
-    renderHeatmap();
+/**
+ * Per-user profiles for static data. The build writes users/index.json plus
+ * one file per user, so a profile doesn't need every day shard; files are
+ * fetched on demand and cached until the data path changes.
+ */
+const profileStore = {
+  basePath: null,
+  index: null,
+  profiles: new Map()
+};
 
-    // Update admin panel if visible
-    if (isAdminMode()) {
-      renderCloneDetection();
-      renderTraitors();
-    }
+// users/index.json and profile files this page knows how to read
+const USER_PROFILE_VERSION = 1;
 
-  } catch (err) {
-    console.error(err);
-    document.getElementById("meta").textContent = `Error loading data: ${err.message}`;
+/**
+ * Expand a columnar day shard back into event objects.
+ */
+function decodeEventShard(shard) {
+  const pad = n => String(n).padStart(2, "0");
+  const events = new Array(shard.count);
+
+  for (let i = 0; i < shard.count; i++) {
+    const secs = shard.time[i];
+    const a = shard.attacker[i];
+    const v = shard.victim[i];
+    const r = shard.room[i];
+    events[i] = {
+      time: `${shard.date} ${pad(Math.floor(secs / 3600))}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}`,
+      attacker: shard.users[a],
+      victim: shard.users[v],
+      attackerTeam: shard.userTeams[a],
+      victimTeam: shard.userTeams[v],
+      roomId: shard.roomIds[r],
+      roomName: shard.roomNames[r],
+      value: shard.value[i]
+    };
   }
+
+  return events;
 }
 
 /**
- * Switch data mode and reload
+ * Point the event store at a data path and load its index.
+ * Returns the index, or null for datasets that only have events.json.
  */
-async function switchDataMode(mode) {
-  if (state.dataMode === mode) return;
-
-  state.dataMode = mode;
-  localStorage.setItem("dataMode", mode);
-  updateDataModeUI();
-  await loadAndRefreshData();
+async function loadEventIndex(basePath) {
+  eventStore.basePath = basePath;
+  eventStore.days = new Map();
+  eventStore.index = await loadJSON(`${basePath}/events/index.json`).catch(() => null);
+  return eventStore.index;
 }
 
 /**
- * Parse and evaluate filter expressions like "attacks > 100, ratio >= 2"
- * Supports: =, !=, <, <=, >, >=
- * Fields: attacks, hitsTaken, ratio, user, team
+ * Fetch the given days (skipping ones already cached).
+ * Returns every loaded event in chronological day order.
  */
-function parseFilterExpr(expr) {
-  if (!expr || !expr.trim()) return null;
+async function loadEventDays(dates) {
+  const { basePath, index, days } = eventStore;
+  if (!index) return getLoadedEvents();
+
+  const entries = new Map(index.days.map(d => [d.date, d]));
+  await Promise.all(dates
+    .filter(date => entries.has(date) && !days.has(date))
+    .map(async date => {
+      const shard = await loadJSON(`${basePath}/events/${entries.get(date).file}`);
+      // Store may have been repointed while this shard was in flight
+      if (eventStore.basePath === basePath) days.set(date, decodeEventShard(shard));
+    }));
+
+  return getLoadedEvents();
+}
 
-  const conditions = expr.split(',').map(c => c.trim()).filter(c => c);
-  const parsed = [];
+/**
+ * The build's profile for a user under the current data path, or null if
+ * there isn't one (older seasons, unknown users or a failed fetch).
+ */
+async function loadStaticUserProfile(user) {
+  const { basePath } = eventStore;
+  if (profileStore.basePath !== basePath) {
+    profileStore.basePath = basePath;
+    profileStore.index = loadJSON(`${basePath}/users/index.json`).catch(() => null);
+    profileStore.profiles = new Map();
+  }
 
-  for (const cond of conditions) {
-    // Match: field operator value
-    const match = cond.match(/^(\w+)\s*(>=|<=|!=|=|>|<)\s*(.+)$/);
-    if (!match) continue;
+  const index = await profileStore.index;
+  if (index?.version !== USER_PROFILE_VERSION || !Object.hasOwn(index.users || {}, user)) return null;
 
-    const [, field, op, rawValue] = match;
-    const fieldLower = field.toLowerCase();
+  if (!profileStore.profiles.has(user)) {
+    profileStore.profiles.set(user, loadJSON(`${basePath}/${index.users[user]}`).catch(err => {
+      console.error(`Failed to load the profile for ${user}:`, err);
+      return null;
+    }));
+  }
+  const profile = await profileStore.profiles.get(user);
+  return profile && { profile, userCount: index.count };
+}
 
-    // Map common field names
-    const fieldMap = {
-      'attacks': 'attacks',
-      'attack': 'attacks',
-      'hitstaken': 'hitsTaken',
-      'hits': 'hitsTaken',
-      'taken': 'hitsTaken',
-      'ratio': 'ratio',
-      'user': 'user',
-      'username': 'user',
-      'team': 'team'
-    };
+function getLoadedEvents() {
+  return [...eventStore.days.keys()].sort().flatMap(date => eventStore.days.get(date));
+}
 
-    const mappedField = fieldMap[fieldLower];
-    if (!mappedField) continue;
+function isEventStoreComplete() {
+  return !eventStore.index || eventStore.index.days.every(d => eventStore.days.has(d.date));
+}
 
-    // Parse value
-    let value = rawValue.trim();
-    // Remove quotes if present
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      value = value.slice(1, -1);
-    }
+/**
+ * Load every event under a data path: all day shards, or the legacy
+ * single events.json for datasets built before sharding.
+ */
+async function loadAllEvents(basePath) {
+  const index = await loadEventIndex(basePath);
+  if (!index) return loadJSON(`${basePath}/events.json`);
+  return loadEventDays(index.days.map(d => d.date));
+}
 
-    // Try to parse as number
-    const numValue = parseFloat(value);
-    const isNumeric = !isNaN(numValue);
+/**
+ * Make sure the days covered by the events table date range are loaded
+ * while the rest of the season is still streaming in.
+ */
+async function ensureEventsForDateRange() {
+  if (state.eventsComplete || !eventStore.index) return;
+
+  const from = state.eventsDateFrom;
+  const to = state.eventsDateTo;
+  if (!from && !to) return;
+
+  const dates = eventStore.index.days
+    .map(d => d.date)
+    .filter(d => (!from || d >= from) && (!to || d <= to));
+  const events = await loadEventDays(dates);
+  if (!state.eventsComplete) state.allEvents = events;
+}
 
-    parsed.push({ field: mappedField, op, value: isNumeric ? numValue : value, isNumeric });
+/**
+ * Re-render every view that needs the full season of events.
+ */
+function renderSeasonEventViews(summary) {
+  applyAdjustedPointsToSummary(summary, state.allEvents);
+  renderTeamStats(summary, currentTeamData?.totals);
+
+  state.victimBreakdown = buildVictimBreakdown(state.allEvents);
+  state.attackerBreakdown = buildAttackerBreakdown(state.allEvents);
+  renderVictimBreakdownTable();
+  renderAttackerBreakdownTable();
+  populateRoomFilter();
+  renderEventsTable();
+  renderTeamTimeline();
+  renderRivalries();
+  renderNetworkGraph();
+  renderHeatmap();
+
+  recomputeBattles();
+  renderBattlesTable();
+  renderUserProfile();
+  refreshUsersForEventFilter();
+
+  if (isAdminMode()) {
+    renderCloneDetection();
+    renderTraitors();
   }
-
-  return parsed.length > 0 ? parsed : null;
 }
 
-function evaluateFilter(row, conditions) {
-  if (!conditions) return true;
-
-  for (const { field, op, value, isNumeric } of conditions) {
-    const rowValue = row[field];
-
-    let result = false;
-
-    if (isNumeric && typeof rowValue === 'number') {
-      switch (op) {
-        case '=': result = rowValue === value; break;
-        case '!=': result = rowValue !== value; break;
-        case '>': result = rowValue > value; break;
-        case '>=': result = rowValue >= value; break;
-        case '<': result = rowValue < value; break;
-        case '<=': result = rowValue <= value; break;
-      }
-    } else {
-      // String comparison (case-insensitive)
-      const strRow = String(rowValue).toLowerCase();
-      const strVal = String(value).toLowerCase();
-      switch (op) {
-        case '=': result = strRow === strVal; break;
-        case '!=': result = strRow !== strVal; break;
-        case '>': result = strRow > strVal; break;
-        case '>=': result = strRow >= strVal; break;
-        case '<': result = strRow < strVal; break;
-        case '<=': result = strRow <= strVal; break;
-      }
-    }
+/**
+ * Hold off on the rest of the season until a view needs it: a season-wide
+ * section coming into view, or a call to requestSeasonEvents. A null token
+ * (everything already loaded) just cancels any pending load.
+ */
+function deferSeasonEvents(token, summary) {
+  seasonEventsLoad?.observer?.disconnect();
+  seasonEventsLoad = token == null ? null : { token, summary, promise: null, observer: null };
+  if (!seasonEventsLoad) return;
 
-    if (!result) return false; // AND logic - all conditions must pass
+  if (typeof IntersectionObserver === "undefined") {
+    requestSeasonEvents();
+    return;
   }
+  const observer = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) requestSeasonEvents();
+  }, { rootMargin: "200px" });
+  SEASON_EVENT_SECTIONS.forEach(id => {
+    const el = document.getElementById(id);
+    if (el) observer.observe(el);
+  });
+  seasonEventsLoad.observer = observer;
+}
 
-  return true;
+/**
+ * Start loading the rest of the season (once per dataset). Resolves when the
+ * season-wide views have been filled in, or straight away if there's nothing
+ * left to load.
+ */
+function requestSeasonEvents() {
+  const load = seasonEventsLoad;
+  if (state.eventsComplete || !load || load.token !== dataLoadToken) return Promise.resolve();
+  if (!load.promise) {
+    load.observer?.disconnect();
+    load.promise = loadRemainingEvents(load.token, load.summary);
+  }
+  return load.promise;
 }
 
-function renderTeamStats(summary, teamTotals) {
+/**
+ * Fetch the remaining day shards, then fill in the season-wide views.
+ */
+async function loadRemainingEvents(token, summary) {
+  try {
+    const events = await loadEventDays(eventStore.index.days.map(d => d.date));
+    if (token !== dataLoadToken) return;
+
+    state.allEvents = events;
+    state.eventsComplete = true;
+    renderSeasonEventViews(summary);
+  } catch (err) {
+    console.error("Failed to load older events:", err);
+    if (token === dataLoadToken) {
+      document.getElementById("meta").textContent += " | Older events failed to load";
+    }
+  }
+}
+
+/**
+ * Data providers. load(options) resolves to a dataset
+ *   { summary, users, events, eventsComplete, eventsMissing, roomsSummary,
+ *     teamData, battles, provenance, [victimBreakdown, attackerBreakdown, heatmap] }
+ * or throws, letting runDataPipeline fall back to the next provider.
+ * options always include onProgress(message) for the meta line.
+ */
+const DATA_PROVIDERS = {
+  static: { label: "Static data", loading: "loading data", load: loadStaticDataset },
+  live: { label: "Live API", loading: "fetching live data from API", load: options => loadLiveDataset(options) },
+  mock: {
+    label: "Mock API",
+    loading: "fetching data from mock API",
+    load: ({ baseUrl = getMockBaseUrl(), ...options }) => loadLiveDataset({
+      ...options,
+      hitsUrl: `${baseUrl}/gethits`,
+      teamsUrl: `${baseUrl}/getsnowteams`,
+      detail: baseUrl
+    })
+  },
+  file: { label: "Local file", loading: "reading local file", load: loadFileDataset }
+};
+
+// Base URL for ?mock (a local server answering /gethits and /getsnowteams)
+const DEFAULT_MOCK_BASE_URL = "http://localhost:8787/api";
+
+function getMockBaseUrl() {
+  return new URLSearchParams(window.location.search).get("mock") || DEFAULT_MOCK_BASE_URL;
+}
+
+/**
+ * Provider the Refresh button pulls from: the MyVMK API, or a mock
+ * endpoint when the page is opened with ?mock[=<base url>].
+ */
+function getLiveSource() {
+  return new URLSearchParams(window.location.search).has("mock") ? "mock" : "live";
+}
+
+/**
+ * Static build output for the selected season. Only the most recent days of
+ * events are loaded up front; renderDataset streams in the rest.
+ */
+async function loadStaticDataset() {
+  const basePath = getDataPath();
+
+  const [summary, users, roomsSummary, eventIndex, teamData, battles] = await Promise.all([
+    loadJSON(`${basePath}/summary.json`),
+    loadJSON(`${basePath}/users.json`),
+    loadJSON(`${basePath}/rooms_summary.json`),
+    loadEventIndex(basePath),
+    // Only fetch live team data for live mode (archived teams no longer exist in API,
+    // so archives carry the roster snapshot the build wrote). The live roster
+    // builds on the snapshot so players who left keep their team.
+    loadJSON(`${basePath}/teams.json`).catch(() => null).then(async snapshot =>
+      state.dataMode === "live" ? (await fetchTeamData(MYVMK_TEAMS_URL, snapshot)) || snapshot : snapshot
+    ),
+    loadJSON(`${basePath}/battles.json`).catch(() => [])
+  ]);
+
+  // Seasons archived by hand before sharding may have no events at all
+  let eventsMissing = false;
+  const events = eventIndex
+    ? await loadEventDays(eventIndex.days.slice(-INITIAL_EVENT_DAYS).map(d => d.date))
+    : await loadJSON(`${basePath}/events.json`).catch(() => {
+      eventsMissing = true;
+      return [];
+    });
+
+  const season = getSeason(state.dataMode);
+  return {
+    summary, users, roomsSummary, teamData, battles, events,
+    eventsComplete: isEventStoreComplete(),
+    eventsMissing,
+    provenance: { season: season ? season.label || season.id : null }
+  };
+}
+
+/**
+ * Hits and teams straight from the MyVMK API (or a mock of it)
+ */
+async function loadLiveDataset({ hitsUrl, teamsUrl, detail = null, onProgress }) {
+  const dataset = await fetchLiveData({ hitsUrl, teamsUrl }, onProgress);
+  return { ...dataset, eventsComplete: true, eventsMissing: false, provenance: { detail } };
+}
+
+/**
+ * A hits CSV chosen by the user, in the same format as the API's. Teams come
+ * from teamsFile when given, otherwise from the roster already on the page,
+ * so nothing is fetched on the file's behalf.
+ */
+async function loadFileDataset({ hitsFile, teamsFile = null, onProgress }) {
+  const [hitsText, teamsText, rooms] = await Promise.all([
+    hitsFile.text(),
+    teamsFile ? teamsFile.text() : "",
+    loadRoomMapping()
+  ]);
+
+  const dataset = await buildLiveDatasetOffThread(
+    { hitsText, teamsText, previousTeams: teamsFile ? null : currentTeamData, rooms, generatedAt: new Date().toISOString() },
+    onProgress
+  );
+  const detail = teamsFile ? `${hitsFile.name} + ${teamsFile.name}` : `${hitsFile.name}, teams from the loaded roster`;
+  return { ...dataset, eventsComplete: true, eventsMissing: false, provenance: { detail } };
+}
+
+/**
+ * Meta line text for a dataset: where it came from, when, and its size.
+ */
+function describeDataset({ summary, eventsMissing, provenance, parseReport }) {
+  const when = ts => new Date(ts).toLocaleString();
+  let origin;
+  if (provenance.source === "static") {
+    const seasonLabel = provenance.season ? ` [${provenance.season.toUpperCase()}]` : "";
+    origin = provenance.fallbackFrom
+      ? `Cached data from: ${when(summary.generatedAt)}${seasonLabel}`
+      : `Last updated: ${when(summary.generatedAt)}${seasonLabel}`;
+  } else if (provenance.source === "live") {
+    origin = `Live data fetched: ${when(summary.generatedAt)}`;
+  } else if (provenance.source === "mock") {
+    origin = `Mock data from ${provenance.detail} fetched: ${when(summary.generatedAt)}`;
+  } else {
+    origin = `Local file: ${provenance.detail}, loaded ${when(summary.generatedAt)}`;
+  }
+
+  const skipped = countSkippedRows(parseReport);
+  return `${origin} | ` +
+    `${summary.totalRows?.toLocaleString() || 0} events | ` +
+    `${summary.totalUsers?.toLocaleString() || 0} users` +
+    (eventsMissing ? " | Event log not archived for this season" : "") +
+    (skipped ? ` | ${skipped.toLocaleString()} malformed row${skipped === 1 ? "" : "s"} skipped` : "");
+}
+
+function countSkippedRows(parseReport) {
+  return Object.values(parseReport || {}).reduce((sum, r) => sum + r.skipped, 0);
+}
+
+/**
+ * Tooltip listing the first malformed rows of each CSV, e.g.
+ * "hits line 12: expected 5 fields, found 6"
+ */
+function describeParseReport(parseReport) {
+  return Object.entries(parseReport || {})
+    .flatMap(([file, report]) => [
+      ...report.errors.map(e => `${file} line ${e.line}: ${e.message}`),
+      ...(report.skipped > report.errors.length ? [`…and ${report.skipped - report.errors.length} more ${file} rows`] : [])
+    ])
+    .join("\n");
+}
+
+/**
+ * Load data from the first provider in `sources` that succeeds and render it.
+ * Each source is a provider id or { source, ...options }. Later sources are
+ * fallbacks; the dataset's provenance records which one was used and why.
+ * Returns the rendered dataset, or null if every source failed or a newer
+ * load took over.
+ */
+async function runDataPipeline(sources) {
+  const token = ++dataLoadToken;
+  const meta = document.getElementById("meta");
+  let failure = null;
+
+  for (const [i, step] of sources.entries()) {
+    const { source, ...options } = typeof step === "string" ? { source: step } : step;
+    const provider = DATA_PROVIDERS[source];
+    meta.textContent = failure
+      ? `${DATA_PROVIDERS[failure.source].label} unavailable, ${provider.loading}...`
+      : `${provider.loading[0].toUpperCase()}${provider.loading.slice(1)}...`;
+
+    try {
+      const dataset = await provider.load({
+        ...options,
+        onProgress: message => {
+          if (token === dataLoadToken) meta.textContent = `${provider.label}: ${message}`;
+        }
+      });
+      if (token !== dataLoadToken) return null;
+
+      dataset.provenance = { ...dataset.provenance, source, fallbackFrom: failure };
+      renderDataset(dataset, token);
+      return dataset;
+    } catch (err) {
+      if (token !== dataLoadToken) return null;
+      console.error(`Failed to load from ${provider.label}:`, err);
+      failure = failure || { source, message: err.message };
+      if (i === sources.length - 1) {
+        meta.textContent = sources.length > 1
+          ? `Error: ${failure.message}. Fallback also failed.`
+          : `Error loading data: ${err.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Put a dataset into state and render every view from it. The one place
+ * that new cards need wiring into for a full data load.
+ */
+function renderDataset(dataset, token) {
+  const { summary, users, events, eventsComplete, eventsMissing, roomsSummary, teamData, battles, provenance } = dataset;
+
+  if (eventsComplete && !eventsMissing) applyAdjustedPointsToSummary(summary, events);
+
+  // The banner only shows when live data was wanted but cached data is shown
+  state.provenance = provenance;
+  state.usingFallback = !!provenance.fallbackFrom;
+  state.fallbackTimestamp = provenance.fallbackFrom ? summary.generatedAt : null;
+  updateFallbackBanner();
+
+  const meta = document.getElementById("meta");
+  meta.textContent = describeDataset(dataset);
+  meta.title = describeParseReport(dataset.parseReport);
+  if (countSkippedRows(dataset.parseReport)) console.warn("Malformed CSV rows skipped:", dataset.parseReport);
+
+  // Update state
+  state.allUsers = users;
+  state.usersIndex = new Map(users.map(u => [u.user, u]));
+  state.allEvents = events;
+  state.eventsComplete = eventsComplete;
+  // Set up before rendering, so views restored from the URL can ask for older days
+  deferSeasonEvents(eventsComplete ? null : token, summary);
+  state.victimBreakdown = dataset.victimBreakdown || (eventsComplete ? buildVictimBreakdown(events) : []);
+  state.attackerBreakdown = dataset.attackerBreakdown || (eventsComplete ? buildAttackerBreakdown(events) : []);
+  if (dataset.heatmap) heatmapCache = { events, matrix: dataset.heatmap };
+
+  state.baseBattles = battles || [];
+  recomputeBattles();
+  // A refresh keeps the selected battle (and its permalink) while the data still has it
+  const selectedId = state.selectedBattleId;
+  if (selectedId && ![...state.allBattles, ...state.baseBattles].some(b => b.id === selectedId)) {
+    state.selectedBattleId = null;
+    if (getBattleIdFromHash() === selectedId) {
+      history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+    }
+  }
+
+  // Store team data for roster filtering
+  currentTeamData = teamData;
+  if (provenance.source === "static" || provenance.source === "live") seasonTeamData = teamData;
+
+  // Render components (pass team totals for accurate member counts)
+  renderTeamStats(summary, teamData?.totals);
+  renderTopLists(summary);
+  renderTeamRosters(teamData);
+  renderBattlesTable();
+
+  // Clear roster search inputs
+  const penguinSearch = document.getElementById("penguinRosterSearch");
+  const reindeerSearch = document.getElementById("reindeerRosterSearch");
+  if (penguinSearch) penguinSearch.value = "";
+  if (reindeerSearch) reindeerSearch.value = "";
+
+  // Apply filter/sort and rebuild tables
+  applyFilterSort();
+  buildUsersTable();
+  updateSelectionUI();
+
+  // Destroy existing charts before recreating
+  if (state.scatterChart) {
+    state.scatterChart.destroy();
+    state.scatterChart = null;
+  }
+  if (state.roomsChart) {
+    state.roomsChart.destroy();
+    state.roomsChart = null;
+  }
+  if (state.dailyChart) {
+    state.dailyChart.destroy();
+    state.dailyChart = null;
+  }
+
+  createScatter(document.getElementById("scatter"), summary);
+  createRoomsChart(document.getElementById("roomsChart"), roomsSummary);
+  createDailyChart(document.getElementById("dailyChart"), events);
+
+  // Render tables
+  renderVictimBreakdownTable();
+  renderAttackerBreakdownTable();
+  populateRoomFilter();
+  renderEventsTable();
+
+  // Season-wide views show a loading note until the rest of the season is in
+  renderTeamTimeline();
+  renderRivalries();
+  renderNetworkGraph();
+  renderHeatmap();
+
+  // Update admin panel if visible
+  if (eventsComplete && isAdminMode()) {
+    renderCloneDetection();
+    renderTraitors();
+  }
+}
+
+/**
+ * Sort chosen or dropped files into a hits CSV and an optional teams CSV by
+ * their header rows (Time,Attacker,Victim,... and Username,Team).
+ */
+async function classifyCsvFiles(files) {
+  const found = { hitsFile: null, teamsFile: null, ignored: [] };
+  const hasColumns = (header, spec, keys) => keys.every(key => spec[key].some(name => header.includes(name)));
+  for (const file of files) {
+    const [firstRow = []] = csvLib.parseCSV((await file.slice(0, 1024).text()).split(/\r?\n/, 1)[0]);
+    const header = firstRow.map(c => c.trim().toLowerCase());
+    if (!found.hitsFile && hasColumns(header, csvLib.HITS_COLUMNS, csvLib.HITS_REQUIRED)) {
+      found.hitsFile = file;
+    } else if (!found.teamsFile && hasColumns(header, csvLib.TEAMS_COLUMNS, ["username", "team"])) {
+      found.teamsFile = file;
+    } else {
+      found.ignored.push(file.name);
+    }
+  }
+  return found;
+}
+
+/**
+ * Render the dashboard from local CSV files, parsed in the browser exactly
+ * like the live API's responses.
+ */
+async function openLocalFiles(files) {
+  const csvFiles = files.filter(f => /\.csv$/i.test(f.name) || f.type === "text/csv");
+  const { hitsFile, teamsFile, ignored } = await classifyCsvFiles(csvFiles);
+  if (!hitsFile) {
+    alert("No hits CSV found. Expected a gethits export with a header like Time,Attacker,Victim,Room,Value.");
+    return;
+  }
+  if (ignored.length) console.warn("Ignoring unrecognized files:", ignored);
+  await runDataPipeline([{ source: "file", hitsFile, teamsFile }]);
+}
+
+/**
+ * Wire up the Open CSV button and dropping files anywhere on the page.
+ */
+function setupLocalFileInput() {
+  const input = document.getElementById("csvFileInput");
+  document.getElementById("openCsvBtn")?.addEventListener("click", () => input?.click());
+  input?.addEventListener("change", () => {
+    const files = [...input.files];
+    input.value = "";
+    if (files.length) openLocalFiles(files);
+  });
+
+  // dragenter/dragleave fire for every child element crossed, so count depth
+  const overlay = document.getElementById("dropOverlay");
+  let dragDepth = 0;
+  const hasFiles = e => [...(e.dataTransfer?.types || [])].includes("Files");
+
+  document.addEventListener("dragenter", e => {
+    if (!hasFiles(e)) return;
+    dragDepth++;
+    if (overlay) overlay.hidden = false;
+  });
+  document.addEventListener("dragleave", e => {
+    if (!hasFiles(e)) return;
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth && overlay) overlay.hidden = true;
+  });
+  document.addEventListener("dragover", e => {
+    if (hasFiles(e)) e.preventDefault();
+  });
+  document.addEventListener("drop", e => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    if (overlay) overlay.hidden = true;
+    openLocalFiles([...e.dataTransfer.files]);
+  });
+}
+
+/**
+ * Load the selected season's static data and refresh the entire dashboard
+ */
+async function loadAndRefreshData() {
+  await runDataPipeline(["static"]);
+}
+
+/**
+ * Switch data mode and reload
+ */
+async function switchDataMode(mode) {
+  if (state.dataMode === mode) return;
+
+  state.dataMode = mode;
+  localStorage.setItem("dataMode", mode);
+  updateDataModeUI();
+  await loadAndRefreshData();
+}
+
+// Per-user aggregates of the loaded events and battles, for the users filter
+// (values beyond the table's own columns) and the profile drawer. Rebuilt
+// whenever either changes.
+let userEventStats = { events: null, battles: null, byUser: new Map() };
+
+function getUserEventStats(user) {
+  if (userEventStats.events !== state.allEvents || userEventStats.battles !== state.allBattles) {
+    const byUser = new Map();
+    const statsFor = (name) => {
+      if (!byUser.has(name)) {
+        byUser.set(name, { attacks: 0, adjustedPoints: 0, rooms: new Set(), battles: 0, lastActive: null, events: [], battleStats: [] });
+      }
+      return byUser.get(name);
+    };
+
+    for (const e of state.allEvents) {
+      const room = e.roomName || e.roomId || "Unknown";
+      const value = Number(e.value);
+      for (const name of new Set([e.attacker, e.victim])) {
+        if (!name) continue;
+        const stats = statsFor(name);
+        stats.rooms.add(room);
+        stats.events.push(e);
+        if (!stats.lastActive || e.time > stats.lastActive) stats.lastActive = e.time;
+      }
+      if (e.attacker) {
+        statsFor(e.attacker).attacks++;
+        if (Number.isFinite(value)) statsFor(e.attacker).adjustedPoints += value;
+      }
+    }
+    for (const battle of state.allBattles) {
+      for (const p of battle.participants || []) {
+        const stats = statsFor(p.user);
+        stats.battles++;
+        stats.battleStats.push({ battle, stats: p });
+      }
+    }
+
+    userEventStats = { events: state.allEvents, battles: state.allBattles, byUser };
+  }
+  return userEventStats.byUser.get(user);
+}
+
+// Fields for the users filter expression (see lib/filter.mjs for the syntax)
+const USER_FILTER_FIELDS = {
+  user: { type: "string", aliases: ["username", "name"], get: r => r.user },
+  team: { type: "string", get: r => r.team },
+  teamRule: { type: "string", aliases: ["rule"], get: r => r.teamRule },
+  attacks: { type: "number", aliases: ["attack"], get: r => r.attacks },
+  hitsTaken: { type: "number", aliases: ["hits", "taken"], get: r => r.hitsTaken },
+  ratio: { type: "number", get: r => r.ratio },
+  adjustedPoints: { type: "number", aliases: ["points", "adjusted"], get: r => getUserEventStats(r.user)?.adjustedPoints ?? 0 },
+  battles: { type: "number", get: r => getUserEventStats(r.user)?.battles ?? 0 },
+  rooms: { type: "number", get: r => getUserEventStats(r.user)?.rooms.size ?? 0 },
+  lastActive: { type: "date", aliases: ["last"], get: r => getUserEventStats(r.user)?.lastActive ?? null }
+};
+
+// Fields whose values come from events or battles rather than the users list
+const USER_FILTER_EVENT_FIELDS = new Set(["adjustedPoints", "battles", "rooms", "lastActive"]);
+
+/**
+ * Compile a filter expression against a field set, keeping a syntax or field
+ * error for display instead of throwing. test is null for an empty filter.
+ */
+function compileFilterExpr(expr, fields) {
+  try {
+    const tree = filterLib.parseFilter(expr);
+    return { expr, tree, test: tree ? filterLib.compileFilter(expr, fields) : null, error: null };
+  } catch (err) {
+    if (!(err instanceof filterLib.FilterError)) throw err;
+    return { expr, tree: null, test: null, error: err };
+  }
+}
+
+let usersFilter = { expr: null, test: null, usesEvents: false, error: null };
+
+/**
+ * Compile the users filter expression, caching it until the text changes.
+ * Returns the row predicate, or null when the filter is empty or invalid.
+ */
+function getUsersFilter() {
+  const expr = state.filterExpr || "";
+  if (usersFilter.expr !== expr) {
+    usersFilter = compileFilterExpr(expr, USER_FILTER_FIELDS);
+    const used = filterLib.filterFieldsUsed(usersFilter.tree, USER_FILTER_FIELDS);
+    usersFilter.usesEvents = [...used].some(f => USER_FILTER_EVENT_FIELDS.has(f));
+  }
+  if (usersFilter.usesEvents) requestSeasonEvents();
+  showFilterError("filterExpr", "filterExprError", usersFilter.error);
+  return usersFilter.test;
+}
+
+/**
+ * Show (or clear) a filter expression error under its input.
+ */
+function showFilterError(inputId, errorId, err) {
+  const input = document.getElementById(inputId);
+  const el = document.getElementById(errorId);
+  input?.classList.toggle("invalid", !!err);
+  if (!el) return;
+  el.hidden = !err;
+  el.textContent = err ? `${err.message} (at character ${err.position + 1})` : "";
+}
+
+/**
+ * Re-filter the users table when its filter depends on events or battles
+ * that have just changed (more days loaded, battles re-clustered).
+ */
+function refreshUsersForEventFilter() {
+  if (!getUsersFilter() || !usersFilter.usesEvents) return;
+  applyFilterSort();
+  buildUsersTable();
+  updateSelectionUI();
+}
+
+function renderTeamStats(summary, teamTotals) {
   const container = document.getElementById("teamStats");
   const ts = summary.teamStats || {};
 
@@ -1275,7 +1649,7 @@ function renderTopLists(summary) {
         <tr><th>User</th><th>Team</th><th>Attacks</th></tr>
         ${(summary.topAttackers || []).slice(0, 10).map(u => `
           <tr>
-            <td>${escapeHtml(u.user)}</td>
+            <td>${userLink(u.user)}</td>
             <td><span class="pill ${u.team.toLowerCase()}">${u.team}</span></td>
             <td>${u.attacks}</td>
           </tr>
@@ -1291,7 +1665,7 @@ function renderTopLists(summary) {
         <tr><th>User</th><th>Team</th><th>Hits Taken</th></tr>
         ${(summary.topVictims || []).slice(0, 10).map(u => `
           <tr>
-            <td>${escapeHtml(u.user)}</td>
+            <td>${userLink(u.user)}</td>
             <td><span class="pill ${u.team.toLowerCase()}">${u.team}</span></td>
             <td>${u.hitsTaken}</td>
           </tr>
@@ -1306,7 +1680,7 @@ function renderTopLists(summary) {
 function applyFilterSort() {
   const q = state.query.trim().toLowerCase();
   const teamFilter = state.teamFilter;
-  const filterConditions = parseFilterExpr(state.filterExpr);
+  const filterTest = getUsersFilter();
   const searchSet = state.searchNames.length ? new Set(state.searchNames.map(n => n.toLowerCase())) : null;
 
   let rows = state.allUsers;
@@ -1325,8 +1699,8 @@ function applyFilterSort() {
   }
 
   // Filter by expression
-  if (filterConditions) {
-    rows = rows.filter(r => evaluateFilter(r, filterConditions));
+  if (filterTest) {
+    rows = rows.filter(filterTest);
   }
 
   // Sort
@@ -1361,12 +1735,10 @@ function buildUsersTable() {
   }).join("")}</tr>`;
 
   const body = viewRows.map(r => {
-    const teamClass = r.team.toLowerCase();
-
     return `
       <tr data-user="${escapeHtml(r.user)}" class="${state.selectedUsers.has(r.user) ? 'highlight' : ''}">
-        <td>${escapeHtml(r.user)}</td>
-        <td><span class="pill ${teamClass}">${r.team}</span></td>
+        <td>${userLink(r.user)}</td>
+        <td>${teamPill(r.team, r.teamRule)}</td>
         <td>${r.attacks}</td>
         <td>${r.hitsTaken}</td>
         <td>${fmt(r.ratio)}</td>
@@ -1439,13 +1811,294 @@ function updateSelectionUI() {
     const teamClass = u.team.toLowerCase();
     return `
       <div class="stat-item">
-        <div class="stat-label">${escapeHtml(u.user)} <span class="pill ${teamClass}">${u.team}</span></div>
+        <div class="stat-label">${userLink(u.user)} <span class="pill ${teamClass}">${u.team}</span></div>
         <div class="stat-value">Atk ${u.attacks} | Taken ${u.hitsTaken} | Ratio ${fmt(u.ratio)}</div>
       </div>
     `;
   }).join("");
 }
 
+/**
+ * Everything the profile drawer shows for one user, computed from state.allEvents
+ */
+function buildUserProfile(user) {
+  const totals = { attacks: 0, hitsTaken: 0, points: 0 };
+  const stats = getUserEventStats(user);
+  const days = new Map();
+  const hours = Array.from({ length: 24 }, () => ({ attacks: 0, hitsTaken: 0 }));
+  const rooms = new Map();
+  const victims = new Map();
+  const attackers = new Map();
+  const teamRule = state.usersIndex.get(user)?.teamRule || null;
+  let team = state.usersIndex.get(user)?.team || null;
+
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  // Only this user's hits, from the shared per-user aggregates
+  for (const e of stats?.events || []) {
+    const value = Number(e.value);
+    const isAttacker = e.attacker === user;
+    const isVictim = e.victim === user;
+    if (!isAttacker && !isVictim) continue;
+
+    const [date, time] = e.time.split(" ");
+    const hour = parseInt(time, 10);
+    if (!days.has(date)) days.set(date, { attacks: 0, hitsTaken: 0 });
+    bump(rooms, e.roomName || e.roomId || "Unknown");
+
+    if (isAttacker) {
+      totals.attacks++;
+      if (Number.isFinite(value)) totals.points += value;
+      days.get(date).attacks++;
+      if (hour >= 0 && hour < 24) hours[hour].attacks++;
+      bump(victims, e.victim);
+      team = team || e.attackerTeam;
+    }
+    if (isVictim) {
+      totals.hitsTaken++;
+      days.get(date).hitsTaken++;
+      if (hour >= 0 && hour < 24) hours[hour].hitsTaken++;
+      bump(attackers, e.attacker);
+      team = team || e.victimTeam;
+    }
+  }
+
+  const topOf = (map, n) => [...map.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, n)
+    .map(([name, count]) => ({ name, count }));
+
+  // Rank among every user in the loaded events, so ranks agree with the totals
+  // above while older days are still loading; percentile = share ranked below
+  const others = [...userEventStats.byUser.values()];
+  const attacksRank = 1 + others.filter(s => s.attacks > totals.attacks).length;
+  const pointsRank = 1 + others.filter(s => s.adjustedPoints > totals.points).length;
+  const percentile = others.length ? (others.filter(s => s.attacks < totals.attacks).length / others.length) * 100 : 0;
+
+  const battles = stats?.battleStats || [];
+
+  return {
+    user,
+    team: team || "Unknown",
+    teamRule,
+    ...totals,
+    ratio: battlesLib.safeRatio(totals.attacks, totals.hitsTaken),
+    attacksRank,
+    pointsRank,
+    percentile,
+    userCount: others.length,
+    days: [...days.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([date, d]) => ({ date, ...d })),
+    hours,
+    rooms: topOf(rooms, 5),
+    victims: topOf(victims, 5),
+    attackers: topOf(attackers, 5),
+    battles,
+    partial: !state.eventsComplete
+  };
+}
+
+/**
+ * The drawer's view of a profile file written by the build (same shape as
+ * buildUserProfile). Its battles carry the fields the battle cells read.
+ */
+function userProfileFromStatic({ profile, userCount }) {
+  const top = (items) => items.slice(0, 5).map(i => ({ name: i.user, count: i.count }));
+  const { totals } = profile;
+
+  return {
+    user: profile.user,
+    team: profile.team || "Unknown",
+    teamRule: state.usersIndex.get(profile.user)?.teamRule || null,
+    attacks: totals.attacks,
+    hitsTaken: totals.hitsTaken,
+    points: totals.adjustedPoints,
+    ratio: totals.ratio,
+    attacksRank: totals.attacksRank,
+    pointsRank: totals.adjustedPointsRank,
+    percentile: totals.percentile,
+    userCount,
+    days: profile.daily,
+    hours: profile.hours,
+    rooms: profile.rooms
+      .map(r => ({ name: r.roomName, count: r.attacks + r.hitsTaken }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, 5),
+    victims: top(profile.topVictims),
+    attackers: top(profile.topAttackers),
+    battles: profile.battles.map(b => ({ battle: b, stats: b })),
+    partial: false
+  };
+}
+
+/**
+ * Profile for the drawer: the build's profile file for static data, so it
+ * covers the whole season without loading every day shard. Otherwise (live
+ * or local data, older seasons, custom battle clustering) it's built from
+ * the loaded events, and the rest of the season is asked for.
+ */
+async function loadUserProfile(user) {
+  if (state.provenance?.source === "static" && usesDefaultClustering()) {
+    const stored = await loadStaticUserProfile(user);
+    if (stored) return userProfileFromStatic(stored);
+  }
+  requestSeasonEvents();
+  return buildUserProfile(user);
+}
+
+function destroyProfileCharts() {
+  state.profileCharts.forEach(chart => chart.destroy());
+  state.profileCharts = [];
+}
+
+function openUserProfile(user) {
+  state.profileUser = user;
+  const body = document.getElementById("profileBody");
+  if (body) body.innerHTML = '<p class="legend-note">Loading profile…</p>';
+  renderUserProfile();
+  document.getElementById("profileDrawer")?.classList.add("open");
+  document.getElementById("profileDrawer")?.setAttribute("aria-hidden", "false");
+  document.getElementById("profileBackdrop")?.classList.add("visible");
+}
+
+function closeUserProfile() {
+  state.profileUser = null;
+  destroyProfileCharts();
+  document.getElementById("profileDrawer")?.classList.remove("open");
+  document.getElementById("profileDrawer")?.setAttribute("aria-hidden", "true");
+  document.getElementById("profileBackdrop")?.classList.remove("visible");
+}
+
+/**
+ * Fill the profile drawer for state.profileUser (no-op when it's closed)
+ */
+async function renderUserProfile() {
+  const user = state.profileUser;
+  const body = document.getElementById("profileBody");
+  if (!user || !body) return;
+
+  const p = await loadUserProfile(user);
+  // Closed or switched to another user while the profile file loaded
+  if (state.profileUser !== user) return;
+
+  destroyProfileCharts();
+
+  document.getElementById("profileTitle").innerHTML = `${escapeHtml(user)} ${teamPill(p.team, p.teamRule)}`;
+
+  const stat = (label, value) => `
+    <div class="stat-item team-stat">
+      <div class="label">${label}</div>
+      <div class="value">${value}</div>
+    </div>
+  `;
+
+  const countList = (items, emptyText, linkNames) => items.length
+    ? `<table class="collapsible-table">${items.map(i => `
+        <tr><td>${linkNames ? userLink(i.name) : escapeHtml(i.name)}</td><td>${i.count}</td></tr>
+      `).join("")}</table>`
+    : `<p class="legend-note" style="margin:0;">${emptyText}</p>`;
+
+  const battleRows = p.battles.map(({ battle, stats }) => `
+    <tr data-profile-battle="${escapeHtml(battle.id)}" style="cursor:pointer;">
+      <td>${escapeHtml(battle.roomName)}</td>
+      <td>${formatBattleTime(battle)}</td>
+      <td>${stats.attacks}</td>
+      <td>${stats.hitsTaken}</td>
+      <td>${formatBattleResult(battle)}</td>
+    </tr>
+  `).join("");
+
+  const nemesis = p.attackers[0];
+  const partialNote = p.partial
+    ? '<p class="legend-note">Based on the days loaded so far; older days are still loading…</p>'
+    : "";
+
+  body.innerHTML = `
+    ${partialNote}
+    <div class="stats-grid" style="margin-top:12px;">
+      ${stat("Attacks", p.attacks.toLocaleString())}
+      ${stat("Hits Taken", p.hitsTaken.toLocaleString())}
+      ${stat("Ratio", fmt(p.ratio))}
+      ${stat("Adjusted Points", fmt(p.points))}
+      ${stat("Attack Rank", `#${p.attacksRank} of ${p.userCount}`)}
+      ${stat("Points Rank", `#${p.pointsRank}`)}
+    </div>
+    <p class="legend-note">Out-attacks ${fmt(p.percentile, 1)}% of users.${nemesis ? ` Nemesis: ${userLink(nemesis.name)} (${nemesis.count} hits).` : ""}</p>
+
+    <h4>Activity</h4>
+    <div class="chart-container" style="height:160px;"><canvas id="profileActivityChart"></canvas></div>
+
+    <h4>Hour of Day</h4>
+    <div class="chart-container" style="height:140px;"><canvas id="profileHoursChart"></canvas></div>
+    <p class="legend-note">Times are shown in Eastern (New York).</p>
+
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;">
+      <div>
+        <h4>Top Victims</h4>
+        ${countList(p.victims, "No attacks", true)}
+      </div>
+      <div>
+        <h4>Hit Most By</h4>
+        ${countList(p.attackers, "Never hit", true)}
+      </div>
+    </div>
+
+    <h4>Favorite Rooms</h4>
+    ${countList(p.rooms, "No activity")}
+
+    <h4>Battles (${p.battles.length})</h4>
+    ${p.battles.length ? `
+      <div class="scroll" style="max-height:220px;">
+        <table class="collapsible-table">
+          <thead><tr><th>Room</th><th>Start</th><th>Attacks</th><th>Hits Taken</th><th>Winner</th></tr></thead>
+          <tbody>${battleRows}</tbody>
+        </table>
+      </div>
+    ` : '<p class="legend-note" style="margin:0;">Not in any detected battle.</p>'}
+  `;
+
+  body.querySelectorAll("[data-profile-battle]").forEach(row => {
+    row.addEventListener("click", (e) => {
+      if (e.target.closest("[data-profile]")) return;
+      closeUserProfile();
+      selectBattle(row.getAttribute("data-profile-battle"), { scroll: true });
+    });
+  });
+
+  const barChart = (canvasId, labels, attacks, hitsTaken) => {
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+    state.profileCharts.push(new Chart(ctx, {
+      type: "bar",
+      data: {
+        labels,
+        datasets: [
+          { label: "Attacks", data: attacks, backgroundColor: TEAM_COLORS[p.team]?.bg || "rgba(107, 114, 128, 0.7)" },
+          { label: "Hits Taken", data: hitsTaken, backgroundColor: "rgba(156, 163, 175, 0.5)" }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { position: "bottom", labels: { boxWidth: 10 } } },
+        scales: {
+          x: { ticks: { autoSkip: true, maxRotation: 0, font: { size: 10 } } },
+          y: { beginAtZero: true }
+        }
+      }
+    }));
+  };
+
+  barChart("profileActivityChart",
+    p.days.map(d => d.date.slice(5)),
+    p.days.map(d => d.attacks),
+    p.days.map(d => d.hitsTaken));
+  barChart("profileHoursChart",
+    p.hours.map((_, h) => formatHour(h)),
+    p.hours.map(h => h.attacks),
+    p.hours.map(h => h.hitsTaken));
+}
+
 function computeLineDataset(regLine, color, regKey) {
   if (!regLine) return null;
   const { xMin, xMax, y1, y2, label } = regLine;
@@ -1871,54 +2524,280 @@ function createDailyChart(ctx, events) {
   return state.dailyChart;
 }
 
-function buildVictimBreakdown(events) {
-  // Build attacker -> victim -> count mapping
-  const breakdown = {};
-
-  events.forEach(e => {
-    const attacker = e.attacker;
-    const victim = e.victim;
-    const team = e.attackerTeam;
-    if (!attacker || !victim) return;
-
-    if (!breakdown[attacker]) {
-      breakdown[attacker] = { team, victims: {}, total: 0 };
-    }
-    breakdown[attacker].victims[victim] = (breakdown[attacker].victims[victim] || 0) + 1;
-    breakdown[attacker].total++;
-  });
+const TIMELINE_METRIC_LABELS = { attacks: "Attacks", points: "Adjusted Points" };
 
-  // Convert to array and sort by total attacks
-  return Object.entries(breakdown)
-    .map(([attacker, data]) => ({
-      attacker,
-      team: data.team,
-      total: data.total,
-      victims: Object.entries(data.victims)
-        .map(([victim, count]) => ({ victim, count }))
-        .sort((a, b) => b.count - a.count)
-    }))
-    .sort((a, b) => b.total - a.total);
+/**
+ * Timeline bucket key for a Date: "YYYY-MM-DD", or "YYYY-MM-DD HH" when hourly
+ */
+function timelineBucketKey(d, hourly) {
+  const pad = n => String(n).padStart(2, "0");
+  const day = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  return hourly ? `${day} ${pad(d.getHours())}` : day;
 }
 
 /**
- * Check if admin mode is enabled via URL parameter
+ * Every hourly or daily bucket from first to last (Dates), quiet ones
+ * included, as [{ key, start }]. Charts built on these keep their x axis
+ * proportional to time.
  */
-function isAdminMode() {
-  const params = new URLSearchParams(window.location.search);
-  return params.get("admin") === "true";
+function contiguousTimelineBuckets(first, last, hourly) {
+  const buckets = [];
+  const seen = new Set();
+  const cursor = new Date(first);
+  if (hourly) cursor.setMinutes(0, 0, 0);
+  else cursor.setHours(0, 0, 0, 0);
+
+  while (cursor <= last) {
+    const key = timelineBucketKey(cursor, hourly);
+    // Stepping across a DST change can land on the same hour twice
+    if (!seen.has(key)) {
+      seen.add(key);
+      buckets.push({ key, start: new Date(cursor) });
+    }
+    if (hourly) cursor.setHours(cursor.getHours() + 1);
+    else cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return buckets;
 }
 
 /**
- * Detect potential clone accounts based on suspicious patterns
- * Returns array of suspicious users with details about why they're flagged
+ * Cumulative attacks and adjusted points per team across the season.
+ * Buckets are contiguous (quiet hours/days carry the previous totals) so the
+ * x axis stays proportional to time. Unknown-team hits are left out, as in
+ * computeTeamAdjustedPoints (lib/live-data.mjs).
  */
-function detectSuspiciousClones(events) {
-  // Build victim -> { attackers: { attacker: count }, totalHits, attacks } mapping
-  const userStats = {};
+function buildTeamTimeline(events, resolution = "daily") {
+  const hourly = resolution === "hourly";
 
-  events.forEach(e => {
-    const attacker = e.attacker;
+  const perBucket = new Map();
+  let first = null;
+  let last = null;
+
+  for (const e of events || []) {
+    const team = e.attackerTeam;
+    if (team !== "Penguin" && team !== "Reindeer") continue;
+    const t = battlesLib.parseEventTime(e.time);
+    if (!t) continue;
+
+    if (!first || t < first) first = t;
+    if (!last || t > last) last = t;
+
+    const key = timelineBucketKey(t, hourly);
+    if (!perBucket.has(key)) {
+      perBucket.set(key, { Penguin: { attacks: 0, points: 0 }, Reindeer: { attacks: 0, points: 0 } });
+    }
+    const bucket = perBucket.get(key)[team];
+    bucket.attacks++;
+    const value = Number(e.value);
+    if (Number.isFinite(value)) bucket.points += value;
+  }
+
+  if (!first) return [];
+
+  const totals = { Penguin: { attacks: 0, points: 0 }, Reindeer: { attacks: 0, points: 0 } };
+  return contiguousTimelineBuckets(first, last, hourly).map(({ key, start }) => {
+    const bucket = perBucket.get(key);
+    ["Penguin", "Reindeer"].forEach(team => {
+      totals[team].attacks += bucket?.[team].attacks || 0;
+      totals[team].points += bucket?.[team].points || 0;
+    });
+    return {
+      key,
+      start,
+      Penguin: { ...totals.Penguin },
+      Reindeer: { ...totals.Reindeer }
+    };
+  });
+}
+
+/**
+ * Buckets where the leading team flips. Ties keep the previous leader, and
+ * the first team to go ahead isn't counted as a change.
+ */
+function findLeadChanges(buckets, metric) {
+  const changes = [];
+  let leader = null;
+
+  buckets.forEach((b, index) => {
+    const diff = b.Penguin[metric] - b.Reindeer[metric];
+    const current = diff > 0 ? "Penguin" : diff < 0 ? "Reindeer" : null;
+    if (current && leader && current !== leader) {
+      changes.push({ index, from: leader, to: current, margin: Math.abs(diff) });
+    }
+    if (current) leader = current;
+  });
+
+  return changes;
+}
+
+function formatTimelineBucket(bucket, resolution) {
+  const opts = resolution === "hourly"
+    ? { month: "short", day: "numeric", hour: "numeric" }
+    : { month: "short", day: "numeric" };
+  return bucket.start.toLocaleString("en-US", opts);
+}
+
+function renderTeamRaceSummary(buckets, leadChanges) {
+  const el = document.getElementById("teamRaceSummary");
+  if (!el) return;
+
+  const lastBucket = buckets[buckets.length - 1];
+  if (!lastBucket) {
+    el.textContent = "No team activity yet.";
+    return;
+  }
+
+  const metric = state.timelineMetric;
+  const unit = TIMELINE_METRIC_LABELS[metric].toLowerCase();
+  const diff = lastBucket.Penguin[metric] - lastBucket.Reindeer[metric];
+  const standing = diff === 0
+    ? `Teams are tied on ${unit}`
+    : `<span class="pill ${diff > 0 ? "penguin" : "reindeer"}">${diff > 0 ? "Penguin" : "Reindeer"}</span> leads by <strong>${fmt(Math.abs(diff), 1)}</strong> ${unit}`;
+
+  const lastChange = leadChanges[leadChanges.length - 1];
+  const changesText = lastChange
+    ? `${leadChanges.length} lead change${leadChanges.length === 1 ? "" : "s"}, most recently ${formatTimelineBucket(buckets[lastChange.index], state.timelineResolution)} (${lastChange.from} → ${lastChange.to})`
+    : "no lead changes";
+
+  el.innerHTML = `${standing} · ${changesText}`;
+}
+
+/**
+ * (Re)build the team race chart from state.allEvents.
+ */
+function renderTeamTimeline() {
+  if (state.timelineChart) {
+    state.timelineChart.destroy();
+    state.timelineChart = null;
+  }
+
+  const metricSelect = document.getElementById("timelineMetric");
+  if (metricSelect) metricSelect.value = state.timelineMetric;
+  document.getElementById("timelineDaily")?.classList.toggle("active", state.timelineResolution === "daily");
+  document.getElementById("timelineHourly")?.classList.toggle("active", state.timelineResolution === "hourly");
+
+  const ctx = document.getElementById("timelineChart");
+  if (!ctx) return;
+  if (!state.eventsComplete) {
+    // The old chart is gone (destroy clears its canvas); replace its summary too
+    const summary = document.getElementById("teamRaceSummary");
+    if (summary) summary.textContent = "Loading the full season…";
+    return;
+  }
+
+  const metric = state.timelineMetric;
+  const resolution = state.timelineResolution;
+  const buckets = buildTeamTimeline(state.allEvents, resolution);
+  const leadChanges = findLeadChanges(buckets, metric);
+  renderTeamRaceSummary(buckets, leadChanges);
+  if (!buckets.length) return;
+
+  const changeByIndex = new Map(leadChanges.map(c => [c.index, c]));
+  const markers = buckets.map((b, i) => changeByIndex.has(i) ? b[changeByIndex.get(i).to][metric] : null);
+
+  state.timelineChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: buckets.map(b => formatTimelineBucket(b, resolution)),
+      datasets: [
+        {
+          label: "Penguin",
+          data: buckets.map(b => b.Penguin[metric]),
+          borderColor: TEAM_COLORS.Penguin.border,
+          backgroundColor: TEAM_COLORS.Penguin.bg,
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1
+        },
+        {
+          label: "Reindeer",
+          data: buckets.map(b => b.Reindeer[metric]),
+          borderColor: TEAM_COLORS.Reindeer.border,
+          backgroundColor: TEAM_COLORS.Reindeer.bg,
+          borderWidth: 2,
+          pointRadius: 0,
+          tension: 0.1
+        },
+        {
+          label: "Lead change",
+          data: markers,
+          showLine: false,
+          pointStyle: "star",
+          pointRadius: 9,
+          pointHoverRadius: 12,
+          borderColor: "#f59e0b",
+          backgroundColor: "#f59e0b",
+          borderWidth: 2
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: {
+        legend: { position: "bottom" },
+        tooltip: {
+          filter: item => item.raw != null,
+          callbacks: {
+            label: (item) => {
+              if (item.dataset.label === "Lead change") {
+                const change = changeByIndex.get(item.dataIndex);
+                return `Lead change: ${change.from} → ${change.to} (by ${fmt(change.margin, 1)})`;
+              }
+              return `${item.dataset.label}: ${fmt(item.raw, 1)}`;
+            },
+            footer: (items) => {
+              const b = buckets[items[0]?.dataIndex];
+              if (!b) return "";
+              const diff = b.Penguin[metric] - b.Reindeer[metric];
+              return diff === 0 ? "Tied" : `Margin: ${diff > 0 ? "Penguin" : "Reindeer"} +${fmt(Math.abs(diff), 1)}`;
+            }
+          }
+        },
+        zoom: {
+          zoom: { wheel: { enabled: true, speed: 0.1 }, pinch: { enabled: true }, mode: "x" },
+          pan: { enabled: true, mode: "x" }
+        }
+      },
+      scales: {
+        x: {
+          ticks: { maxRotation: 45, autoSkip: true, font: { size: 10 } }
+        },
+        y: {
+          beginAtZero: true,
+          title: { display: true, text: `Cumulative ${TIMELINE_METRIC_LABELS[metric]}` }
+        }
+      }
+    }
+  });
+
+  return state.timelineChart;
+}
+
+function buildVictimBreakdown(events) {
+  return liveDataLib.buildVictimBreakdown(events);
+}
+
+/**
+ * Check if admin mode is enabled via URL parameter
+ */
+function isAdminMode() {
+  const params = new URLSearchParams(window.location.search);
+  return params.get("admin") === "true";
+}
+
+/**
+ * Detect potential clone accounts based on suspicious patterns
+ * Returns array of suspicious users with details about why they're flagged
+ */
+function detectSuspiciousClones(events) {
+  // Build victim -> { attackers: { attacker: count }, totalHits, attacks } mapping
+  const userStats = {};
+
+  events.forEach(e => {
+    const attacker = e.attacker;
     const victim = e.victim;
     if (!attacker || !victim) return;
 
@@ -2166,19 +3045,22 @@ function renderCloneDetection() {
 }
 
 /**
- * Detect users who switched teams between pre-reset and current season
+ * Detect users who switched teams between the previous season and the current one
  * Returns array of traitors with old and new team info
  */
 async function detectTraitors() {
   try {
-    // Load pre-reset user data
-    const preResetUsers = await loadJSON("./data/archive/pre-reset/users.json");
+    const previous = getPreviousSeason();
+    if (!previous) return [];
+
+    // Load previous season's user data
+    const previousUsers = await loadJSON(`./data/${previous.path}/users.json`);
 
-    // Build map of pre-reset teams (username lowercase -> { user, team })
-    const preResetTeams = {};
-    preResetUsers.forEach(u => {
+    // Build map of previous season teams (username lowercase -> { user, team })
+    const previousTeams = {};
+    previousUsers.forEach(u => {
       if (u.user && u.team) {
-        preResetTeams[u.user.toLowerCase()] = { user: u.user, team: u.team };
+        previousTeams[u.user.toLowerCase()] = { user: u.user, team: u.team };
       }
     });
 
@@ -2191,8 +3073,8 @@ async function detectTraitors() {
 
     // Check Penguin roster for former Reindeer
     currentTeamData.rosters.Penguin.forEach(user => {
-      const preReset = preResetTeams[user.toLowerCase()];
-      if (preReset && preReset.team === "Reindeer") {
+      const previousEntry = previousTeams[user.toLowerCase()];
+      if (previousEntry && previousEntry.team === "Reindeer") {
         traitors.push({
           user: user,
           oldTeam: "Reindeer",
@@ -2203,8 +3085,8 @@ async function detectTraitors() {
 
     // Check Reindeer roster for former Penguin
     currentTeamData.rosters.Reindeer.forEach(user => {
-      const preReset = preResetTeams[user.toLowerCase()];
-      if (preReset && preReset.team === "Penguin") {
+      const previousEntry = previousTeams[user.toLowerCase()];
+      if (previousEntry && previousEntry.team === "Penguin") {
         traitors.push({
           user: user,
           oldTeam: "Penguin",
@@ -2294,36 +3176,344 @@ function initAdminPanel() {
 }
 
 function buildAttackerBreakdown(events) {
-  // Build victim -> attacker -> count mapping (inverse of victim breakdown)
-  const breakdown = {};
+  // Victims' teams come from the users list, which knows teams for users who never attacked
+  return liveDataLib.buildAttackerBreakdown(events, user => state.usersIndex.get(user)?.team);
+}
 
-  events.forEach(e => {
-    const attacker = e.attacker;
-    const victim = e.victim;
-    if (!attacker || !victim) return;
+// Who-hits-whom network graph. Node count is capped to keep the layout
+// (an O(n²) repulsion pass per frame) responsive.
+const NETWORK_MAX_NODES = 150;
+const NETWORK_TEAM_COLORS = { Penguin: "#3b82f6", Reindeer: "#ef4444", Unknown: "#9ca3af" };
+
+// Running graph: { nodes, edges, byId, alpha, frame, focus, hover, drag }
+let network = null;
+
+/**
+ * Nodes and attacker → victim edges for hits in the date range, keeping
+ * edges with at least minHits hits and the busiest NETWORK_MAX_NODES players.
+ */
+function buildNetworkGraph(events, { minHits, dateFrom, dateTo }) {
+  const scoped = (dateFrom || dateTo)
+    ? events.filter(e => {
+      const day = e.time.split(" ")[0];
+      return (!dateFrom || day >= dateFrom) && (!dateTo || day <= dateTo);
+    })
+    : events;
+
+  const attacks = buildVictimBreakdown(scoped);
+  const hitsTaken = new Map(buildAttackerBreakdown(scoped).map(v => [v.victim, v.total]));
+
+  let edges = attacks.flatMap(a => a.victims
+    .filter(v => v.count >= minHits && v.victim !== a.attacker)
+    .map(v => ({ source: a.attacker, target: v.victim, count: v.count })));
+
+  const weight = new Map();
+  for (const e of edges) {
+    weight.set(e.source, (weight.get(e.source) || 0) + e.count);
+    weight.set(e.target, (weight.get(e.target) || 0) + e.count);
+  }
+  const kept = new Set([...weight.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, NETWORK_MAX_NODES)
+    .map(([id]) => id));
+  edges = edges.filter(e => kept.has(e.source) && kept.has(e.target));
+
+  const attacksBy = new Map(attacks.map(a => [a.attacker, a.total]));
+  const nodes = [...kept].map(id => ({
+    id,
+    team: state.usersIndex.get(id)?.team || "Unknown",
+    attacks: attacksBy.get(id) || 0,
+    hitsTaken: hitsTaken.get(id) || 0,
+    weight: weight.get(id)
+  }));
+
+  return { nodes, edges };
+}
+
+function networkNeighbors(id) {
+  const neighbors = new Set([id]);
+  for (const e of network.edges) {
+    if (e.source === id) neighbors.add(e.target);
+    if (e.target === id) neighbors.add(e.source);
+  }
+  return neighbors;
+}
 
-    // Get victim's team from usersIndex if available
-    const victimData = state.usersIndex.get(victim);
-    const victimTeam = victimData?.team || "Unknown";
+/**
+ * One step of the force layout: node repulsion, edge springs and a pull to the center
+ */
+function tickNetwork(width, height) {
+  const { nodes, edges, byId } = network;
+  const alpha = network.alpha;
+
+  for (let i = 0; i < nodes.length; i++) {
+    for (let j = i + 1; j < nodes.length; j++) {
+      const a = nodes[i];
+      const b = nodes[j];
+      let dx = b.x - a.x;
+      let dy = b.y - a.y;
+      let d2 = dx * dx + dy * dy;
+      if (d2 < 1) {
+        dx = Math.random() - 0.5;
+        dy = Math.random() - 0.5;
+        d2 = 1;
+      }
+      const force = (900 * alpha) / d2;
+      a.vx -= dx * force;
+      a.vy -= dy * force;
+      b.vx += dx * force;
+      b.vy += dy * force;
+    }
+  }
+
+  for (const e of edges) {
+    const a = byId.get(e.source);
+    const b = byId.get(e.target);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    // Heavier edges pull their players closer together
+    const rest = 70 / Math.sqrt(e.count);
+    const force = ((dist - rest) / dist) * 0.04 * alpha;
+    a.vx += dx * force;
+    a.vy += dy * force;
+    b.vx -= dx * force;
+    b.vy -= dy * force;
+  }
+
+  for (const n of nodes) {
+    n.vx += (width / 2 - n.x) * 0.01 * alpha;
+    n.vy += (height / 2 - n.y) * 0.01 * alpha;
+    if (n === network.drag) continue;
+    n.vx *= 0.6;
+    n.vy *= 0.6;
+    n.x = Math.max(n.r, Math.min(width - n.r, n.x + n.vx));
+    n.y = Math.max(n.r, Math.min(height - n.r, n.y + n.vy));
+  }
+
+  network.alpha *= 0.985;
+}
+
+function drawNetwork(canvas) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx?.beginPath) return;
+  const { nodes, edges, byId, focus, hover } = network;
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.width / ratio;
+  const height = canvas.height / ratio;
+  const neighborhood = focus ? networkNeighbors(focus) : null;
+  const maxCount = Math.max(1, ...edges.map(e => e.count));
+
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  for (const e of edges) {
+    const a = byId.get(e.source);
+    const b = byId.get(e.target);
+    const inFocus = !focus || e.source === focus || e.target === focus;
+    ctx.globalAlpha = inFocus ? 0.25 + 0.6 * (e.count / maxCount) : 0.05;
+    ctx.strokeStyle = NETWORK_TEAM_COLORS[a.team] || NETWORK_TEAM_COLORS.Unknown;
+    ctx.lineWidth = 0.5 + 4 * Math.sqrt(e.count / maxCount);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  }
+
+  // Read once per frame: a style lookup per label forces a recalc each time
+  const labelColor = getComputedStyle(document.documentElement).getPropertyValue("--text") || "#111827";
+  ctx.font = "11px system-ui, sans-serif";
+  ctx.textAlign = "center";
+  for (const n of nodes) {
+    const visible = !neighborhood || neighborhood.has(n.id);
+    ctx.globalAlpha = visible ? 1 : 0.15;
+    ctx.fillStyle = NETWORK_TEAM_COLORS[n.team] || NETWORK_TEAM_COLORS.Unknown;
+    ctx.beginPath();
+    ctx.arc(n.x, n.y, n.r, 0, Math.PI * 2);
+    ctx.fill();
+    if (n.id === focus || n.id === hover) {
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = "#f59e0b";
+      ctx.stroke();
+    }
+    // Label the focused neighborhood, the hovered node and the biggest players
+    if (visible && (neighborhood || n.id === hover || n.r >= 9)) {
+      ctx.fillStyle = labelColor;
+      ctx.fillText(n.id, n.x, n.y - n.r - 3);
+    }
+  }
+  ctx.globalAlpha = 1;
+}
+
+function stopNetwork() {
+  if (network?.frame) cancelAnimationFrame(network.frame);
+  network = null;
+}
+
+/**
+ * Animate the layout until it settles (or forever while a node is dragged)
+ */
+function runNetwork(canvas) {
+  if (!network || network.frame) return;
+  const ratio = window.devicePixelRatio || 1;
+  const step = () => {
+    network.frame = null;
+    tickNetwork(canvas.width / ratio, canvas.height / ratio);
+    drawNetwork(canvas);
+    if (network.alpha > 0.02 || network.drag) network.frame = requestAnimationFrame(step);
+  };
+  network.frame = requestAnimationFrame(step);
+}
+
+function networkNodeAt(x, y) {
+  if (!network) return null;
+  for (let i = network.nodes.length - 1; i >= 0; i--) {
+    const n = network.nodes[i];
+    if ((n.x - x) ** 2 + (n.y - y) ** 2 <= (n.r + 2) ** 2) return n;
+  }
+  return null;
+}
+
+function renderNetworkFocus() {
+  const info = document.getElementById("networkFocus");
+  if (!info) return;
+  const id = network?.focus;
+  if (!id) {
+    info.innerHTML = "Click a player to focus on their neighborhood.";
+    return;
+  }
+  const out = network.edges.filter(e => e.source === id).sort((a, b) => b.count - a.count);
+  const incoming = network.edges.filter(e => e.target === id).sort((a, b) => b.count - a.count);
+  const list = (items, key) => items.slice(0, 8).map(e => `${userLink(e[key])} (${e.count})`).join(", ") || "none above the threshold";
+  info.innerHTML = `
+    <strong>${userLink(id)}</strong> hit ${list(out, "target")}.
+    Hit by ${list(incoming, "source")}.
+    <button class="chip-btn" id="networkClearFocus">Clear focus</button>
+  `;
+  document.getElementById("networkClearFocus")?.addEventListener("click", () => setNetworkFocus(null));
+}
+
+function setNetworkFocus(id) {
+  if (!network) return;
+  network.focus = id;
+  renderNetworkFocus();
+  drawNetwork(document.getElementById("networkCanvas"));
+}
+
+/**
+ * (Re)build the network graph for the current threshold and date range
+ */
+function renderNetworkGraph() {
+  const canvas = document.getElementById("networkCanvas");
+  const status = document.getElementById("networkStatus");
+  if (!canvas) return;
+
+  const previousFocus = network?.focus || null;
+  stopNetwork();
+
+  if (!state.eventsComplete) {
+    if (status) status.textContent = "Loading the full season…";
+    return;
+  }
+
+  const minHits = Math.max(1, parseInt(document.getElementById("networkMinHits")?.value, 10) || 1);
+  const graph = buildNetworkGraph(state.allEvents, {
+    minHits,
+    dateFrom: document.getElementById("networkDateFrom")?.value || "",
+    dateTo: document.getElementById("networkDateTo")?.value || ""
+  });
+
+  const ratio = window.devicePixelRatio || 1;
+  const width = canvas.parentElement.clientWidth || 800;
+  const height = 480;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+
+  const maxWeight = Math.max(1, ...graph.nodes.map(n => n.weight));
+  graph.nodes.forEach((n, i) => {
+    // Start on a circle so the first frames don't explode
+    const angle = (i / graph.nodes.length) * Math.PI * 2;
+    n.x = width / 2 + Math.cos(angle) * width * 0.3;
+    n.y = height / 2 + Math.sin(angle) * height * 0.3;
+    n.vx = 0;
+    n.vy = 0;
+    n.r = 3 + 9 * Math.sqrt(n.weight / maxWeight);
+  });
+
+  network = {
+    ...graph,
+    byId: new Map(graph.nodes.map(n => [n.id, n])),
+    alpha: 1,
+    frame: null,
+    focus: null,
+    hover: null,
+    drag: null
+  };
+  network.focus = network.byId.has(previousFocus) ? previousFocus : null;
 
-    if (!breakdown[victim]) {
-      breakdown[victim] = { team: victimTeam, attackers: {}, total: 0 };
+  if (status) {
+    status.textContent = graph.nodes.length
+      ? `${graph.nodes.length} players, ${graph.edges.length} links${graph.nodes.length >= NETWORK_MAX_NODES ? ` (busiest ${NETWORK_MAX_NODES} shown)` : ""}`
+      : "No pairs meet the threshold.";
+  }
+  renderNetworkFocus();
+  runNetwork(canvas);
+}
+
+function setupNetworkInteractions() {
+  const canvas = document.getElementById("networkCanvas");
+  if (!canvas) return;
+
+  const point = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  let downAt = null;
+
+  canvas.addEventListener("mousedown", (e) => {
+    const p = point(e);
+    downAt = p;
+    const node = networkNodeAt(p.x, p.y);
+    if (node) {
+      network.drag = node;
+      network.alpha = Math.max(network.alpha, 0.3);
+      runNetwork(canvas);
+    }
+  });
+
+  canvas.addEventListener("mousemove", (e) => {
+    if (!network) return;
+    const p = point(e);
+    if (network.drag) {
+      network.drag.x = p.x;
+      network.drag.y = p.y;
+      return;
+    }
+    const hover = networkNodeAt(p.x, p.y)?.id || null;
+    canvas.style.cursor = hover ? "pointer" : "default";
+    canvas.title = hover ? hover : "";
+    if (hover !== network.hover) {
+      network.hover = hover;
+      if (!network.frame) drawNetwork(canvas);
     }
-    breakdown[victim].attackers[attacker] = (breakdown[victim].attackers[attacker] || 0) + 1;
-    breakdown[victim].total++;
   });
 
-  // Convert to array and sort by total hits taken
-  return Object.entries(breakdown)
-    .map(([victim, data]) => ({
-      victim,
-      team: data.team,
-      total: data.total,
-      attackers: Object.entries(data.attackers)
-        .map(([attacker, count]) => ({ attacker, count }))
-        .sort((a, b) => b.count - a.count)
-    }))
-    .sort((a, b) => b.total - a.total);
+  window.addEventListener("mouseup", (e) => {
+    if (!network || !downAt) return;
+    const p = point(e);
+    const moved = Math.hypot(p.x - downAt.x, p.y - downAt.y) > 4;
+    const node = network.drag;
+    network.drag = null;
+    downAt = null;
+    // A click (not a drag) focuses the node, or clears focus on empty space
+    if (!moved) setNetworkFocus(node && node.id !== network.focus ? node.id : null);
+  });
+
+  ["networkMinHits", "networkDateFrom", "networkDateTo"].forEach(id => {
+    document.getElementById(id)?.addEventListener("change", renderNetworkGraph);
+  });
 }
 
 function renderVictimBreakdownTable() {
@@ -2349,7 +3539,7 @@ function renderVictimBreakdownTable() {
 
     const parentRow = `
       <tr class="parent-row" data-idx="${idx}">
-        <td>${escapeHtml(u.attacker)}</td>
+        <td>${userLink(u.attacker)}</td>
         <td><span class="pill ${teamClass}">${u.team || ""}</span></td>
         <td>${totalVictims}</td>
         <td>${u.total}</td>
@@ -2358,7 +3548,7 @@ function renderVictimBreakdownTable() {
 
     const childRows = top10Victims.map(v => `
       <tr class="child-row" data-parent="${idx}">
-        <td>${escapeHtml(v.victim)}</td>
+        <td>${userLink(v.victim)}</td>
         <td></td>
         <td></td>
         <td>${v.count}</td>
@@ -2414,7 +3604,7 @@ function renderAttackerBreakdownTable() {
 
     const parentRow = `
       <tr class="parent-row" data-idx="${idx}">
-        <td>${escapeHtml(u.victim)}</td>
+        <td>${userLink(u.victim)}</td>
         <td><span class="pill ${teamClass}">${u.team || ""}</span></td>
         <td>${totalAttackers}</td>
         <td>${u.total}</td>
@@ -2423,7 +3613,7 @@ function renderAttackerBreakdownTable() {
 
     const childRows = top10Attackers.map(a => `
       <tr class="child-row" data-parent="${idx}">
-        <td>${escapeHtml(a.attacker)}</td>
+        <td>${userLink(a.attacker)}</td>
         <td></td>
         <td></td>
         <td>${a.count}</td>
@@ -2454,41 +3644,60 @@ function renderAttackerBreakdownTable() {
   });
 }
 
-function renderEventsTable() {
-  const table = document.getElementById("eventsTable");
-  const search = state.eventsSearch.toLowerCase();
-  const teamFilter = state.eventsTeamFilter;
-  const roomFilter = state.eventsRoomFilter;
-  const dateFrom = state.eventsDateFrom;
-  const dateTo = state.eventsDateTo;
-  const [sortKey, sortDir] = state.eventsSort.split("-");
+function eventHour(e) {
+  const hour = parseInt(String(e.time).split(" ")[1], 10);
+  return Number.isFinite(hour) ? hour : null;
+}
 
-  let filtered = state.allEvents;
+// Fields for the events query expression (see lib/filter.mjs for the syntax)
+const EVENT_FILTER_FIELDS = {
+  time: { type: "date", aliases: ["date"], get: e => e.time },
+  hour: { type: "number", get: eventHour },
+  attacker: { type: "string", get: e => e.attacker },
+  victim: { type: "string", get: e => e.victim },
+  attackerTeam: { type: "string", aliases: ["team"], get: e => e.attackerTeam || "Unknown" },
+  victimTeam: { type: "string", get: e => e.victimTeam || "Unknown" },
+  room: { type: "string", aliases: ["roomName"], get: e => e.roomName || "" },
+  value: { type: "number", aliases: ["points"], get: e => (Number.isFinite(Number(e.value)) ? Number(e.value) : null) }
+};
 
-  if (search) {
-    filtered = filtered.filter(e =>
-      e.attacker.toLowerCase().includes(search) ||
-      e.victim.toLowerCase().includes(search)
-    );
-  }
-  if (teamFilter !== "All") {
-    filtered = filtered.filter(e => e.attackerTeam === teamFilter);
-  }
-  if (roomFilter !== "All") {
-    filtered = filtered.filter(e => e.roomName === roomFilter);
-  }
-  if (dateFrom) {
-    filtered = filtered.filter(e => e.time.split(" ")[0] >= dateFrom);
-  }
-  if (dateTo) {
-    filtered = filtered.filter(e => e.time.split(" ")[0] <= dateTo);
-  }
+let eventsQuery = { expr: null, test: null, error: null };
 
-  // Sort
-  const dir = sortDir === "asc" ? 1 : -1;
-  filtered = [...filtered].sort((a, b) => {
+function getEventsQuery() {
+  const expr = state.eventsQuery || "";
+  if (eventsQuery.expr !== expr) eventsQuery = compileFilterExpr(expr, EVENT_FILTER_FIELDS);
+  showFilterError("eventsQuery", "eventsQueryError", eventsQuery.error);
+  return eventsQuery.test;
+}
+
+const EVENTS_PAGE_SIZE = 100;
+// Assumed row height until a rendered row can be measured
+const EVENTS_ROW_HEIGHT = 35;
+// Extra rows rendered above and below the visible window
+const EVENTS_OVERSCAN = 10;
+
+const EVENTS_COLUMNS = [
+  { key: "time", label: "Date/Time" },
+  { key: "attacker", label: "Attacker" },
+  { key: "team", label: "Team" },
+  { key: "victim", label: "Victim" },
+  { key: "room", label: "Room" }
+];
+
+// The events table only renders the rows in view; see renderEventsWindow()
+const eventsView = {
+  sorted: { events: null, sort: null, rows: [] },
+  filterKey: null,
+  topIndex: 0,
+  rowHeight: 0,
+  frame: null,
+  timer: null
+};
+
+function compareEvents(sortKey, dir) {
+  return (a, b) => {
     if (sortKey === "time") {
-      return (a.time > b.time ? 1 : -1) * dir;
+      return (a.time > b.time ? 1 : a.time < b.time ? -1 : 0) * dir;
     } else if (sortKey === "attacker") {
       return a.attacker.localeCompare(b.attacker) * dir;
     } else if (sortKey === "victim") {
@@ -2499,44 +3708,85 @@ function renderEventsTable() {
       return (a.roomName || "").localeCompare(b.roomName || "") * dir;
     }
     return 0;
-  });
+  };
+}
 
-  // Store filtered for download
-  state.filteredEvents = filtered;
+/**
+ * All loaded events in the table's sort order. Sorted once per events/sort
+ * change; filters then run over this array, which keeps the order.
+ */
+function getSortedEvents() {
+  const cache = eventsView.sorted;
+  if (cache.events !== state.allEvents || cache.sort !== state.eventsSort) {
+    const [sortKey, sortDir] = state.eventsSort.split("-");
+    eventsView.sorted = {
+      events: state.allEvents,
+      sort: state.eventsSort,
+      rows: [...state.allEvents].sort(compareEvents(sortKey, sortDir === "asc" ? 1 : -1))
+    };
+  }
+  return eventsView.sorted.rows;
+}
 
-  // Limit to 500 for performance
-  const limited = filtered.slice(0, 500);
+/**
+ * Re-render the events table once typing pauses.
+ */
+function scheduleEventsTableRender() {
+  clearTimeout(eventsView.timer);
+  eventsView.timer = setTimeout(renderEventsTable, 150);
+}
 
-  document.getElementById("eventsCount").textContent =
-    `(${limited.length}${filtered.length > 500 ? " of " + filtered.length : ""} shown)`;
+function renderEventsTable() {
+  const table = document.getElementById("eventsTable");
+  clearTimeout(eventsView.timer);
+  const search = state.eventsSearch.toLowerCase();
+  const teamFilter = state.eventsTeamFilter;
+  const roomFilter = state.eventsRoomFilter;
+  const dateFrom = state.eventsDateFrom;
+  const dateTo = state.eventsDateTo;
+  const queryTest = getEventsQuery();
+  const [sortKey, sortDir] = state.eventsSort.split("-");
 
-  const columns = [
-    { key: "time", label: "Date/Time" },
-    { key: "attacker", label: "Attacker" },
-    { key: "team", label: "Team" },
-    { key: "victim", label: "Victim" },
-    { key: "room", label: "Room" }
-  ];
+  // The newest days are enough to page through recent hits; searching, filtering
+  // or re-sorting without a date range needs the whole season
+  const needsSeason = !dateFrom && !dateTo &&
+    (search || queryTest || teamFilter !== "All" || roomFilter !== "All" || state.eventsSort !== "time-desc");
+  if (needsSeason) requestSeasonEvents();
+
+  const filtered = getSortedEvents().filter(e =>
+    (!search || e.attacker.toLowerCase().includes(search) || e.victim.toLowerCase().includes(search)) &&
+    (teamFilter === "All" || e.attackerTeam === teamFilter) &&
+    (roomFilter === "All" || e.roomName === roomFilter) &&
+    (!dateFrom || e.time.slice(0, 10) >= dateFrom) &&
+    (!dateTo || e.time.slice(0, 10) <= dateTo) &&
+    (!queryTest || queryTest(e))
+  );
+
+  // Also used by the CSV download
+  state.filteredEvents = filtered;
+
+  const loadingNote = state.eventsComplete || dateFrom || dateTo ? ""
+    : seasonEventsLoad?.promise ? ", loading older days…"
+    : `, last ${INITIAL_EVENT_DAYS} days`;
+  document.getElementById("eventsCount").textContent =
+    `(${filtered.length.toLocaleString()} event${filtered.length === 1 ? "" : "s"}${loadingNote})`;
 
-  const head = `<tr>${columns.map(col => {
+  const head = `<tr>${EVENTS_COLUMNS.map(col => {
     const arrow = sortKey === col.key ? (sortDir === "asc" ? " ▲" : " ▼") : "";
     return `<th data-sort="${col.key}">${col.label}${arrow}</th>`;
   }).join("")}</tr>`;
 
-  const body = limited.map(e => {
-    const teamClass = e.attackerTeam?.toLowerCase() || "";
-    return `
-      <tr>
-        <td>${escapeHtml(e.time)}</td>
-        <td>${escapeHtml(e.attacker)}</td>
-        <td><span class="pill ${teamClass}">${e.attackerTeam || ""}</span></td>
-        <td>${escapeHtml(e.victim)}</td>
-        <td>${escapeHtml(e.roomName || "")}</td>
-      </tr>
-    `;
-  }).join("");
+  table.innerHTML = `<thead>${head}</thead><tbody></tbody>`;
 
-  table.innerHTML = head + body;
+  // Back to the top when the filters or sort change, but keep the place
+  // when more days of the same view finish loading
+  const filterKey = [search, teamFilter, roomFilter, dateFrom, dateTo, state.eventsQuery, state.eventsSort].join("\u0000");
+  if (filterKey !== eventsView.filterKey) {
+    eventsView.filterKey = filterKey;
+    scrollEventsToRow(0);
+  } else {
+    renderEventsWindow();
+  }
 
   // Wire up column header sorting
   table.querySelectorAll("th[data-sort]").forEach(th => {
@@ -2554,18 +3804,150 @@ function renderEventsTable() {
   });
 }
 
-function downloadEventsCSV() {
-  const events = state.filteredEvents || state.allEvents;
-  const headers = ["Date/Time", "Attacker", "Attacker Team", "Victim", "Room"];
-  const rows = events.map(e => [
-    e.time,
-    e.attacker,
-    e.attackerTeam || "",
-    e.victim,
-    e.roomName || ""
-  ]);
-
-  const csvContent = [headers, ...rows]
+function eventRowHtml(e) {
+  const teamClass = e.attackerTeam?.toLowerCase() || "";
+  return `
+    <tr>
+      <td>${escapeHtml(e.time)}</td>
+      <td>${userLink(e.attacker)}</td>
+      <td><span class="pill ${teamClass}">${e.attackerTeam || ""}</span></td>
+      <td>${userLink(e.victim)}</td>
+      <td>${escapeHtml(e.roomName || "")}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Render only the filtered events around the scroll position, with spacer
+ * rows standing in for the rest so the scrollbar covers every event.
+ */
+function renderEventsWindow() {
+  const table = document.getElementById("eventsTable");
+  const tbody = table?.tBodies[0];
+  if (!tbody) return;
+
+  const rows = state.filteredEvents;
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="${EVENTS_COLUMNS.length}" class="legend-note">No events match the current filters.</td></tr>`;
+    updateEventsPager();
+    return;
+  }
+
+  const rowHeight = eventsView.rowHeight || EVENTS_ROW_HEIGHT;
+  const visibleRows = Math.ceil((table.parentElement.clientHeight || 480) / rowHeight);
+  const first = Math.max(0, eventsView.topIndex - EVENTS_OVERSCAN);
+  const last = Math.min(rows.length, eventsView.topIndex + visibleRows + EVENTS_OVERSCAN);
+
+  const spacer = (count) => (count > 0
+    ? `<tr class="spacer" aria-hidden="true"><td colspan="${EVENTS_COLUMNS.length}" style="height:${count * rowHeight}px;padding:0;border:0;"></td></tr>`
+    : "");
+
+  tbody.innerHTML = spacer(first) + rows.slice(first, last).map(eventRowHtml).join("") + spacer(rows.length - last);
+
+  // Size the spacers from a real row once one has been laid out
+  if (!eventsView.rowHeight) {
+    const measured = tbody.querySelector("tr:not(.spacer)")?.offsetHeight;
+    if (measured) {
+      eventsView.rowHeight = measured;
+      if (measured !== rowHeight) {
+        scrollEventsToRow(eventsView.topIndex);
+        return;
+      }
+    }
+  }
+
+  updateEventsPager();
+}
+
+/**
+ * Scroll the events table so the given filtered row is at the top.
+ */
+function scrollEventsToRow(index) {
+  const table = document.getElementById("eventsTable");
+  if (!table) return;
+  const maxIndex = Math.max(0, state.filteredEvents.length - 1);
+  eventsView.topIndex = Math.min(Math.max(0, Math.floor(index) || 0), maxIndex);
+  table.parentElement.scrollTop = eventsView.topIndex * (eventsView.rowHeight || EVENTS_ROW_HEIGHT);
+  renderEventsWindow();
+}
+
+function onEventsScroll(scroller) {
+  eventsView.topIndex = Math.floor(scroller.scrollTop / (eventsView.rowHeight || EVENTS_ROW_HEIGHT));
+  if (eventsView.frame) return;
+  eventsView.frame = requestAnimationFrame(() => {
+    eventsView.frame = null;
+    renderEventsWindow();
+  });
+}
+
+function updateEventsPager() {
+  const total = state.filteredEvents.length;
+  const pages = Math.max(1, Math.ceil(total / EVENTS_PAGE_SIZE));
+  const page = Math.floor(eventsView.topIndex / EVENTS_PAGE_SIZE) + 1;
+
+  const pageInput = document.getElementById("eventsPageInput");
+  if (pageInput && document.activeElement !== pageInput) pageInput.value = page;
+  if (pageInput) pageInput.max = pages;
+
+  const pageCount = document.getElementById("eventsPageCount");
+  if (pageCount) pageCount.textContent = pages.toLocaleString();
+
+  const range = document.getElementById("eventsRange");
+  if (range) {
+    const from = eventsView.topIndex + 1;
+    const to = Math.min(total, eventsView.topIndex + EVENTS_PAGE_SIZE);
+    range.textContent = total ? `Rows ${from.toLocaleString()}–${to.toLocaleString()} of ${total.toLocaleString()}` : "";
+  }
+
+  const atStart = page <= 1;
+  const atEnd = page >= pages;
+  for (const [id, disabled] of [["eventsFirstPage", atStart], ["eventsPrevPage", atStart], ["eventsNextPage", atEnd], ["eventsLastPage", atEnd]]) {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = disabled;
+  }
+}
+
+function goToEventsPage(page) {
+  const pages = Math.max(1, Math.ceil(state.filteredEvents.length / EVENTS_PAGE_SIZE));
+  const target = Math.min(Math.max(1, page), pages);
+  scrollEventsToRow((target - 1) * EVENTS_PAGE_SIZE);
+}
+
+/**
+ * Scroll to the first filtered event on a day (YYYY-MM-DD), whatever the sort.
+ */
+async function jumpEventsToDate(date) {
+  if (!date) return;
+  if (!state.eventsComplete && eventStore.index && !eventStore.days.has(date)) {
+    const events = await loadEventDays([date]);
+    if (!state.eventsComplete) state.allEvents = events;
+    renderEventsTable();
+  }
+  const rows = state.filteredEvents;
+  let index = rows.findIndex(e => e.time.startsWith(date));
+  if (index < 0 && state.eventsSort.startsWith("time-")) {
+    // No events that day: stop at the nearest day in sort order
+    const asc = state.eventsSort === "time-asc";
+    index = rows.findIndex(e => (asc ? e.time.slice(0, 10) > date : e.time.slice(0, 10) < date));
+    if (index < 0) index = rows.length - 1;
+  }
+  if (index >= 0) scrollEventsToRow(index);
+}
+
+async function downloadEventsCSV() {
+  // Without a date range the export covers the whole season
+  if (!state.eventsDateFrom && !state.eventsDateTo) await requestSeasonEvents();
+  const events = state.filteredEvents || state.allEvents;
+  const headers = ["Date/Time", "Attacker", "Attacker Team", "Victim", "Room"];
+  const rows = events.map(e => [
+    e.time,
+    e.attacker,
+    e.attackerTeam || "",
+    e.victim,
+    e.roomName || ""
+  ]);
+
+  const csvContent = [headers, ...rows]
     .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(","))
     .join("\n");
 
@@ -2578,44 +3960,134 @@ function downloadEventsCSV() {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Resolve a comma-separated list of names against the loaded users (case-insensitive)
+ */
+function resolveUserList(input) {
+  const found = [];
+  const missing = [];
+  for (const name of parseSearchNames(input)) {
+    const user = state.allUsers.find(u => u.user.toLowerCase() === name);
+    if (!user) missing.push(name);
+    else if (!found.includes(user)) found.push(user);
+  }
+  return { found, missing };
+}
+
+/**
+ * Aggregate every hit between two groups of users (one user each for a
+ * plain head-to-head): totals, cumulative timeline, rooms and shared battles.
+ */
+function buildHeadToHead(side1, side2) {
+  const names1 = new Set(side1.map(u => u.user));
+  const names2 = new Set(side2.map(u => u.user));
+  const hits = state.allEvents
+    .filter(e => (names1.has(e.attacker) && names2.has(e.victim)) || (names2.has(e.attacker) && names1.has(e.victim)))
+    .sort((a, b) => (a.time > b.time ? 1 : a.time < b.time ? -1 : 0));
+
+  let hits1 = 0;
+  let hits2 = 0;
+  const rooms = new Map();
+  const buckets = new Map();
+
+  // Daily points for long matchups, hourly ones when it all happened within two days
+  const first = hits.length ? battlesLib.parseEventTime(hits[0].time) : null;
+  const last = hits.length ? battlesLib.parseEventTime(hits[hits.length - 1].time) : null;
+  const hourly = !first || (last - first) / 86400000 <= 2;
+
+  for (const e of hits) {
+    const bySide1 = names1.has(e.attacker);
+    if (bySide1) hits1++;
+    else hits2++;
+
+    const roomName = e.roomName || e.roomId || "Unknown";
+    if (!rooms.has(roomName)) rooms.set(roomName, { roomName, hits1: 0, hits2: 0 });
+    rooms.get(roomName)[bySide1 ? "hits1" : "hits2"]++;
+
+    buckets.set(timelineBucketKey(battlesLib.parseEventTime(e.time), hourly), { hits1, hits2 });
+  }
+
+  // Quiet buckets carry the running totals, so a two-week lull isn't drawn as wide as one hour
+  let totals = { hits1: 0, hits2: 0 };
+  const timeline = first
+    ? contiguousTimelineBuckets(first, last, hourly).map(({ key }) => {
+      totals = buckets.get(key) || totals;
+      return { label: hourly ? `${key}:00` : key, ...totals };
+    })
+    : [];
+
+  const battles = state.allBattles
+    .map(b => {
+      const people = b.participants || [];
+      const p1 = people.filter(p => names1.has(p.user));
+      const p2 = people.filter(p => names2.has(p.user));
+      if (!p1.length || !p2.length) return null;
+      const sum = (list, key) => list.reduce((n, p) => n + p[key], 0);
+      return { battle: b, attacks1: sum(p1, "attacks"), attacks2: sum(p2, "attacks") };
+    })
+    .filter(Boolean);
+
+  return {
+    hits1,
+    hits2,
+    timeline,
+    rooms: [...rooms.values()].sort((a, b) => (b.hits1 + b.hits2) - (a.hits1 + a.hits2)),
+    battles
+  };
+}
+
 function compareHeadToHead() {
-  const user1Input = document.getElementById("h2hUser1").value.trim().toLowerCase();
-  const user2Input = document.getElementById("h2hUser2").value.trim().toLowerCase();
+  const user1Input = document.getElementById("h2hUser1").value.trim();
+  const user2Input = document.getElementById("h2hUser2").value.trim();
   const resultDiv = document.getElementById("h2hResult");
   const statsDiv = document.getElementById("h2hStats");
+  const detailsDiv = document.getElementById("h2hDetails");
+
+  if (state.h2hChart) {
+    state.h2hChart.destroy();
+    state.h2hChart = null;
+  }
+  if (detailsDiv) detailsDiv.innerHTML = "";
 
   if (!user1Input || !user2Input) {
     resultDiv.style.display = "none";
     return;
   }
 
-  // Find users (case-insensitive)
-  const user1 = state.allUsers.find(u => u.user.toLowerCase() === user1Input);
-  const user2 = state.allUsers.find(u => u.user.toLowerCase() === user2Input);
-
-  if (!user1 || !user2) {
+  if (!state.eventsComplete) {
     resultDiv.style.display = "block";
-    statsDiv.innerHTML = `<div style="grid-column:1/-1;color:var(--text-muted);">One or both users not found.</div>`;
+    statsDiv.innerHTML = `<div style="grid-column:1/-1;color:var(--text-muted);">Loading the full season…</div>`;
+    requestSeasonEvents().then(() => {
+      if (state.eventsComplete) compareHeadToHead();
+    });
     return;
   }
 
-  // Count attacks between users
-  let user1HitsOnUser2 = 0;
-  let user2HitsOnUser1 = 0;
+  // Each side is one user or a comma-separated squad
+  const side1 = resolveUserList(user1Input);
+  const side2 = resolveUserList(user2Input);
+  const missing = [...side1.missing, ...side2.missing];
+  const overlap = side1.found.filter(u => side2.found.includes(u));
 
-  state.allEvents.forEach(e => {
-    const attacker = e.attacker.toLowerCase();
-    const victim = e.victim.toLowerCase();
-    if (attacker === user1.user.toLowerCase() && victim === user2.user.toLowerCase()) {
-      user1HitsOnUser2++;
-    } else if (attacker === user2.user.toLowerCase() && victim === user1.user.toLowerCase()) {
-      user2HitsOnUser1++;
-    }
-  });
+  if (missing.length || !side1.found.length || !side2.found.length) {
+    resultDiv.style.display = "block";
+    statsDiv.innerHTML = `<div style="grid-column:1/-1;color:var(--text-muted);">${missing.length
+      ? `User${missing.length > 1 ? "s" : ""} not found: ${escapeHtml(missing.join(", "))}`
+      : "One or both users not found."}</div>`;
+    return;
+  }
+  if (overlap.length) {
+    resultDiv.style.display = "block";
+    statsDiv.innerHTML = `<div style="grid-column:1/-1;color:var(--text-muted);">${escapeHtml(overlap.map(u => u.user).join(", "))} can't be on both sides.</div>`;
+    return;
+  }
+
+  const h2h = buildHeadToHead(side1.found, side2.found);
+  const user1HitsOnUser2 = h2h.hits1;
+  const user2HitsOnUser1 = h2h.hits2;
 
   const user1Wins = user1HitsOnUser2 > user2HitsOnUser1;
   const user2Wins = user2HitsOnUser1 > user1HitsOnUser2;
-  const isTie = user1HitsOnUser2 === user2HitsOnUser1;
 
   // Calculate comparison stats
   const totalHits = user1HitsOnUser2 + user2HitsOnUser1;
@@ -2628,14 +4100,27 @@ function compareHeadToHead() {
 
   const getTeamLogo = (team) => team.toLowerCase() === 'penguin' ? 'penguin.png' : 'reindeer.png';
 
+  // A squad shows its members; its team is shown only if everyone shares it
+  const sideName = (users) => users.length === 1 ? users[0].user : `${users.length} players`;
+  const sideHeader = (users) => {
+    const teams = [...new Set(users.map(u => u.team))];
+    const team = teams.length === 1 ? teams[0] : null;
+    return `
+      ${team && team !== "Unknown" ? `<img src="${getTeamLogo(team)}" alt="${team}" style="width:48px;height:48px;margin-bottom:8px;">` : ""}
+      <div class="h2h-user">${users.map(u => userLink(u.user)).join(", ")}</div>
+      <div class="h2h-stat">${team ? `<span class="pill ${team.toLowerCase()}">${team}</span>` : "Mixed teams"}</div>
+    `;
+  };
+
+  const name1 = sideName(side1.found);
+  const name2 = sideName(side2.found);
+
   resultDiv.style.display = "block";
   statsDiv.innerHTML = `
     <div>
-      <img src="${getTeamLogo(user1.team)}" alt="${user1.team}" style="width:48px;height:48px;margin-bottom:8px;">
-      <div class="h2h-user">${escapeHtml(user1.user)}</div>
-      <div class="h2h-stat"><span class="pill ${user1.team.toLowerCase()}">${user1.team}</span></div>
+      ${sideHeader(side1.found)}
       <div class="h2h-value ${user1Wins ? 'h2h-winner' : ''}">${user1HitsOnUser2}</div>
-      <div class="h2h-stat">hits on ${escapeHtml(user2.user)}</div>
+      <div class="h2h-stat">hits on ${escapeHtml(name2)}</div>
       <div class="h2h-stat" style="margin-top:8px;font-size:0.9rem;">
         <span style="font-weight:600;${user1Wins ? 'color:#16a34a;' : ''}">${user1WinRate}%</span> win rate
       </div>
@@ -2645,11 +4130,9 @@ function compareHeadToHead() {
     </div>
     <div class="h2h-vs">VS</div>
     <div>
-      <img src="${getTeamLogo(user2.team)}" alt="${user2.team}" style="width:48px;height:48px;margin-bottom:8px;">
-      <div class="h2h-user">${escapeHtml(user2.user)}</div>
-      <div class="h2h-stat"><span class="pill ${user2.team.toLowerCase()}">${user2.team}</span></div>
+      ${sideHeader(side2.found)}
       <div class="h2h-value ${user2Wins ? 'h2h-winner' : ''}">${user2HitsOnUser1}</div>
-      <div class="h2h-stat">hits on ${escapeHtml(user1.user)}</div>
+      <div class="h2h-stat">hits on ${escapeHtml(name1)}</div>
       <div class="h2h-stat" style="margin-top:8px;font-size:0.9rem;">
         <span style="font-weight:600;${user2Wins ? 'color:#16a34a;' : ''}">${user2WinRate}%</span> win rate
       </div>
@@ -2658,42 +4141,229 @@ function compareHeadToHead() {
       </div>
     </div>
   `;
+
+  if (detailsDiv && totalHits) renderHeadToHeadDetails(detailsDiv, h2h, name1, name2);
 }
 
-function renderHeatmap() {
-  const container = document.getElementById("heatmap");
-  if (!container) return;
+/**
+ * Timeline, room breakdown and shared battles under the head-to-head totals
+ */
+function renderHeadToHeadDetails(container, h2h, name1, name2) {
+  const roomRows = h2h.rooms.map(r => `
+    <tr>
+      <td>${escapeHtml(r.roomName)}</td>
+      <td>${r.hits1}</td>
+      <td>${r.hits2}</td>
+      <td>${r.hits1 - r.hits2 > 0 ? "+" : ""}${r.hits1 - r.hits2}</td>
+    </tr>
+  `).join("");
 
-  const formatHour = (h) => {
-    const hour = h % 12 === 0 ? 12 : h % 12;
-    const suffix = h < 12 ? "AM" : "PM";
-    return `${hour}${suffix}`;
-  };
+  const battleRows = h2h.battles.map(({ battle, attacks1, attacks2 }) => `
+    <tr data-h2h-battle="${escapeHtml(battle.id)}" style="cursor:pointer;">
+      <td>${escapeHtml(battle.roomName)}</td>
+      <td>${formatBattleTime(battle)}</td>
+      <td>${attacks1}</td>
+      <td>${attacks2}</td>
+      <td>${formatBattleResult(battle)}</td>
+    </tr>
+  `).join("");
 
-  // Build hour x day-of-week matrix
-  const matrix = {};
-  const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+  container.innerHTML = `
+    <h4 style="margin:16px 0 6px 0;font-size:0.875rem;">Matchup Over Time</h4>
+    <div class="chart-container" style="height:200px;"><canvas id="h2hTimelineChart"></canvas></div>
+    <div style="display:grid;grid-template-columns:1fr 1fr;gap:12px;margin-top:12px;">
+      <div>
+        <h4 style="margin:0 0 6px 0;font-size:0.875rem;">By Room</h4>
+        <div class="scroll" style="max-height:220px;">
+          <table class="collapsible-table">
+            <thead><tr><th>Room</th><th>${escapeHtml(name1)}</th><th>${escapeHtml(name2)}</th><th>Net</th></tr></thead>
+            <tbody>${roomRows}</tbody>
+          </table>
+        </div>
+      </div>
+      <div>
+        <h4 style="margin:0 0 6px 0;font-size:0.875rem;">Shared Battles (${h2h.battles.length})</h4>
+        ${h2h.battles.length ? `
+          <div class="scroll" style="max-height:220px;">
+            <table class="collapsible-table">
+              <thead><tr><th>Room</th><th>Start</th><th>${escapeHtml(name1)} Atk</th><th>${escapeHtml(name2)} Atk</th><th>Winner</th></tr></thead>
+              <tbody>${battleRows}</tbody>
+            </table>
+          </div>
+        ` : '<p class="legend-note" style="margin:0;">Never in the same detected battle.</p>'}
+      </div>
+    </div>
+  `;
 
-  // Initialize matrix
-  for (let h = 0; h < 24; h++) {
-    matrix[h] = {};
-    for (let d = 0; d < 7; d++) {
-      matrix[h][d] = 0;
+  container.querySelectorAll("[data-h2h-battle]").forEach(row => {
+    row.addEventListener("click", () => selectBattle(row.getAttribute("data-h2h-battle"), { scroll: true }));
+  });
+
+  const ctx = document.getElementById("h2hTimelineChart");
+  if (!ctx) return;
+  state.h2hChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: h2h.timeline.map(t => t.label),
+      datasets: [
+        { label: name1, data: h2h.timeline.map(t => t.hits1), borderColor: TEAM_COLORS.Penguin.border, backgroundColor: TEAM_COLORS.Penguin.bg, borderWidth: 2, pointRadius: 2, stepped: true },
+        { label: name2, data: h2h.timeline.map(t => t.hits2), borderColor: TEAM_COLORS.Reindeer.border, backgroundColor: TEAM_COLORS.Reindeer.bg, borderWidth: 2, pointRadius: 2, stepped: true }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: "index", intersect: false },
+      plugins: { legend: { position: "bottom" } },
+      scales: {
+        x: { ticks: { autoSkip: true, maxRotation: 45, font: { size: 10 } } },
+        y: { beginAtZero: true, title: { display: true, text: "Cumulative hits" } }
+      }
+    }
+  });
+}
+
+// Rivalry ranking: hits lose half their recency weight every RIVALRY_HALF_LIFE_DAYS
+const RIVALRY_HALF_LIFE_DAYS = 3;
+const RIVALRY_LIMIT = 25;
+
+/**
+ * Every pair of users who have both hit each other, scored by how intense
+ * the feud is. score = volume × √balance × (0.5 + 0.5 × recency), where
+ * balance is the lesser side's share of the greater (1 = even) and recency is
+ * the decayed share of their hits relative to the newest hit in the data.
+ */
+function buildRivalries(events, { minHitsEach = 2, crossTeamOnly = false } = {}) {
+  const pairs = new Map();
+  let newest = 0;
+  const times = events.map(e => {
+    const t = battlesLib.parseEventTime(e.time)?.getTime() || 0;
+    if (t > newest) newest = t;
+    return t;
+  });
+
+  const halfLifeMs = RIVALRY_HALF_LIFE_DAYS * 86400000;
+  events.forEach((e, i) => {
+    if (!e.attacker || !e.victim || e.attacker === e.victim) return;
+    const [a, b] = e.attacker < e.victim ? [e.attacker, e.victim] : [e.victim, e.attacker];
+    const key = `${a}\u0001${b}`;
+    let pair = pairs.get(key);
+    if (!pair) {
+      pair = { a, b, aTeam: "Unknown", bTeam: "Unknown", aHits: 0, bHits: 0, decayed: 0, last: null };
+      pairs.set(key, pair);
     }
+    if (e.attacker === a) {
+      pair.aHits++;
+      pair.aTeam = e.attackerTeam || pair.aTeam;
+      pair.bTeam = e.victimTeam || pair.bTeam;
+    } else {
+      pair.bHits++;
+      pair.bTeam = e.attackerTeam || pair.bTeam;
+      pair.aTeam = e.victimTeam || pair.aTeam;
+    }
+    if (times[i]) pair.decayed += Math.pow(0.5, (newest - times[i]) / halfLifeMs);
+    if (!pair.last || e.time > pair.last) pair.last = e.time;
+  });
+
+  return [...pairs.values()]
+    .filter(p => Math.min(p.aHits, p.bHits) >= minHitsEach)
+    .filter(p => !crossTeamOnly || (p.aTeam !== p.bTeam && p.aTeam !== "Unknown" && p.bTeam !== "Unknown"))
+    .map(p => {
+      const total = p.aHits + p.bHits;
+      const balance = Math.min(p.aHits, p.bHits) / Math.max(p.aHits, p.bHits);
+      const recency = p.decayed / total;
+      return { ...p, total, balance, recency, score: total * Math.sqrt(balance) * (0.5 + 0.5 * recency) };
+    })
+    .sort((x, y) => y.score - x.score || y.total - x.total);
+}
+
+function renderRivalries() {
+  const table = document.getElementById("rivalriesTable");
+  if (!table) return;
+
+  if (!state.eventsComplete) {
+    table.innerHTML = '<p class="legend-note" style="margin:0;">Loading the full season…</p>';
+    return;
   }
 
-  // Count events (timestamps are in Eastern time)
-  state.allEvents.forEach(e => {
-    // Parse as local time since data is already in Eastern time
-    const [datePart, timePart] = e.time.split(" ");
-    const [year, month, day] = datePart.split("-").map(Number);
-    const [hour, minute, second] = timePart.split(":").map(Number);
-    const date = new Date(year, month - 1, day, hour, minute, second);
-    if (isNaN(date.getTime())) return;
-    const h = date.getHours();
-    const d = date.getDay();
-    matrix[h][d]++;
+  const minHitsEach = Math.max(1, parseInt(document.getElementById("rivalryMinHits")?.value, 10) || 2);
+  const crossTeamOnly = document.getElementById("rivalryCrossTeam")?.checked || false;
+  const rivalries = buildRivalries(state.allEvents, { minHitsEach, crossTeamOnly }).slice(0, RIVALRY_LIMIT);
+
+  if (!rivalries.length) {
+    table.innerHTML = '<p class="legend-note" style="margin:0;">No mutual rivalries match.</p>';
+    return;
+  }
+
+  const side = (user, team) => `${userLink(user)} <span class="pill ${team.toLowerCase()}">${escapeHtml(team)}</span>`;
+  const rows = rivalries.map((r, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td>${side(r.a, r.aTeam)} vs ${side(r.b, r.bTeam)}</td>
+      <td>${r.aHits} – ${r.bHits}</td>
+      <td>${r.total}</td>
+      <td>${Math.round(r.balance * 100)}%</td>
+      <td>${escapeHtml(r.last || "")}</td>
+      <td>${fmt(r.score, 1)}</td>
+      <td><button class="chip-btn" data-rivalry="${i}">Compare</button></td>
+    </tr>
+  `).join("");
+
+  table.innerHTML = `
+    <table class="collapsible-table">
+      <thead>
+        <tr><th>#</th><th>Rivals</th><th>Hits</th><th>Total</th><th>Balance</th><th>Last Clash</th><th>Score</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+
+  table.querySelectorAll("[data-rivalry]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const r = rivalries[Number(btn.getAttribute("data-rivalry"))];
+      openHeadToHead(r.a, r.b);
+    });
   });
+}
+
+/**
+ * Fill in the head-to-head lookup with two users and run it
+ */
+function openHeadToHead(user1, user2) {
+  document.getElementById("h2hUser1").value = user1;
+  document.getElementById("h2hUser2").value = user2;
+  compareHeadToHead();
+  document.getElementById("head-to-head")?.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+function formatHour(h) {
+  const hour = h % 12 === 0 ? 12 : h % 12;
+  const suffix = h < 12 ? "AM" : "PM";
+  return `${hour}${suffix}`;
+}
+
+// Hour x day-of-week hit counts for the loaded events; a live refresh
+// hands over the matrix its worker already built
+let heatmapCache = { events: null, matrix: null };
+
+function getHeatmapMatrix() {
+  if (heatmapCache.events !== state.allEvents) {
+    heatmapCache = { events: state.allEvents, matrix: liveDataLib.buildHeatmapMatrix(state.allEvents) };
+  }
+  return heatmapCache.matrix;
+}
+
+function renderHeatmap() {
+  const container = document.getElementById("heatmap");
+  if (!container) return;
+  if (!state.eventsComplete) {
+    container.innerHTML = '<p class="legend-note" style="margin:0;">Loading the full season…</p>';
+    return;
+  }
+
+  const matrix = getHeatmapMatrix();
+  const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
   // Find max for scaling
   let maxVal = 0;
@@ -2732,6 +4402,8 @@ function populateBattleRoomFilter() {
   if (!select) return;
   const rooms = new Set();
   state.allBattles.forEach(b => rooms.add(b.roomName));
+  // Keep a room from the URL selectable even when it has no battles right now
+  if (state.battleRoomFilter !== "All") rooms.add(state.battleRoomFilter);
   const sorted = [...rooms].sort();
   let options = '<option value="All">All Rooms</option>';
   sorted.forEach(r => { options += `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`; });
@@ -2739,11 +4411,185 @@ function populateBattleRoomFilter() {
   select.value = state.battleRoomFilter;
 }
 
-function formatBattleTime(ts) {
-  if (!ts) return "";
-  const d = new Date(ts);
-  if (Number.isNaN(d.getTime())) return ts;
-  return d.toLocaleString("en-US", { timeZoneName: "short" });
+/**
+ * Show the current battle parameters in the inputs, without clobbering one being typed in
+ */
+function syncBattleControls() {
+  const values = {
+    battleMinHits: state.battleMinHits,
+    battleMaxGap: state.battleMaxGapSeconds,
+    battleDateFrom: state.battleDateFrom,
+    battleDateTo: state.battleDateTo
+  };
+  for (const [id, value] of Object.entries(values)) {
+    const input = document.getElementById(id);
+    if (input && input !== document.activeElement) input.value = value;
+  }
+}
+
+/**
+ * A battle's start or end ("start" / "end") read from its raw hit time, so
+ * built and re-clustered battles show the same Eastern wall-clock time.
+ * Battles built before startTime/endTime existed fall back to their ISO times.
+ */
+function battleDate(battle, edge) {
+  const raw = battle[`${edge}Time`];
+  return (raw && battlesLib.parseEventTime(raw)) || new Date(battle[edge]);
+}
+
+function formatBattleTime(battle, edge = "start") {
+  const d = battleDate(battle, edge);
+  if (Number.isNaN(d.getTime())) return battle[edge] || "";
+  return d.toLocaleString("en-US");
+}
+
+/**
+ * Battle winner with its margin, as a team pill ("Tie" or "-" when there's no winner)
+ */
+function formatBattleResult(battle) {
+  if (!battle.winner) return "-";
+  if (battle.winner === battlesLib.BATTLE_TIE) return "Tie";
+  const unit = battle.decidedBy === "attacks" ? "atk" : "pts";
+  return `<span class="pill ${battle.winner.toLowerCase()}">${escapeHtml(battle.winner)}</span> +${fmt(battle.margin)} ${unit}`;
+}
+
+/**
+ * Season record (wins/losses per team, overall and by room) for the listed battles
+ */
+function renderBattleRecord(battles) {
+  const container = document.getElementById("battleRecord");
+  if (!container) return;
+
+  const { overall, byRoom } = battlesLib.battleRecord(battles);
+  if (!overall.battles) {
+    container.innerHTML = "";
+    return;
+  }
+
+  const teamRecord = (record, team) => `${record[team].wins}W–${record[team].losses}L`;
+  const roomRows = byRoom.map(r => `
+    <tr>
+      <td>${escapeHtml(r.roomName)}</td>
+      <td>${r.battles}</td>
+      <td>${teamRecord(r, "Penguin")}</td>
+      <td>${teamRecord(r, "Reindeer")}</td>
+      <td>${r.ties}</td>
+    </tr>
+  `).join("");
+
+  container.innerHTML = `
+    <p class="legend-note" style="margin:0 0 6px 0;">
+      Battle record (${overall.battles} battles):
+      <span class="pill penguin">Penguin</span> ${teamRecord(overall, "Penguin")}
+      <span class="pill reindeer">Reindeer</span> ${teamRecord(overall, "Reindeer")}
+      ${overall.ties ? `| ${overall.ties} tied` : ""}
+    </p>
+    <details class="legend-note" style="margin:0 0 8px 0;">
+      <summary>By room</summary>
+      <table class="collapsible-table">
+        <thead>
+          <tr><th>Room</th><th>Battles</th><th>Penguin</th><th>Reindeer</th><th>Ties</th></tr>
+        </thead>
+        <tbody>${roomRows}</tbody>
+      </table>
+    </details>
+  `;
+}
+
+function formatBattleTimelineTick(ms) {
+  return new Date(ms).toLocaleString("en-US", { month: "short", day: "numeric", hour: "numeric" });
+}
+
+/**
+ * Gantt view of the listed battles: one lane per room, bars spanning each
+ * battle and shaded by hit count. Only rebuilt when the listed battles change,
+ * so selecting a battle keeps the current zoom.
+ */
+function renderBattleTimeline(battles) {
+  const ctx = document.getElementById("battleTimelineChart");
+  if (!ctx) return;
+
+  const key = battles.map(b => b.id).join("|");
+  if (state.battleTimelineChart && state.battleTimelineKey === key) {
+    const dataset = state.battleTimelineChart.data.datasets[0];
+    dataset.borderWidth = dataset.data.map(d => (d.battle.id === state.selectedBattleId ? 3 : 0));
+    state.battleTimelineChart.update("none");
+    return;
+  }
+
+  if (state.battleTimelineChart) {
+    state.battleTimelineChart.destroy();
+    state.battleTimelineChart = null;
+  }
+  state.battleTimelineKey = key;
+  if (!battles.length) return;
+
+  const rooms = [...new Set(battles.map(b => b.roomName))].sort();
+  const maxHits = Math.max(...battles.map(b => b.hitCount));
+  const minHits = Math.min(...battles.map(b => b.hitCount));
+  const data = battles.map(b => ({
+    x: [battleDate(b, "start").getTime(), battleDate(b, "end").getTime()],
+    y: b.roomName,
+    battle: b
+  }));
+
+  // Lanes are fixed-height, so the chart grows with the number of rooms
+  ctx.parentElement.style.height = `${Math.max(140, rooms.length * 32 + 70)}px`;
+
+  state.battleTimelineChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: rooms,
+      datasets: [{
+        label: "Battles",
+        data,
+        backgroundColor: data.map(d => getHeatmapColor(maxHits === minHits ? 1 : 0.25 + 0.75 * (d.battle.hitCount - minHits) / (maxHits - minHits))),
+        borderColor: "#f59e0b",
+        borderWidth: data.map(d => (d.battle.id === state.selectedBattleId ? 3 : 0)),
+        borderSkipped: false,
+        minBarLength: 4,
+        barPercentage: 0.8,
+        categoryPercentage: 1
+      }]
+    },
+    options: {
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => items[0]?.raw.battle.roomName || "",
+            label: (item) => {
+              const b = item.raw.battle;
+              return [
+                `${formatBattleTime(b)} (${b.durationMinutes} min)`,
+                `${b.hitCount} hits, ${b.uniqueUsers} users`,
+                b.winner ? `Winner: ${b.winner === battlesLib.BATTLE_TIE ? "Tie" : b.winner}` : ""
+              ].filter(Boolean);
+            }
+          }
+        },
+        zoom: {
+          zoom: { wheel: { enabled: true, speed: 0.1 }, pinch: { enabled: true }, mode: "x" },
+          pan: { enabled: true, mode: "x" }
+        }
+      },
+      scales: {
+        x: {
+          type: "linear",
+          ticks: { callback: formatBattleTimelineTick, maxRotation: 0, autoSkip: true, font: { size: 10 } }
+        },
+        y: { ticks: { font: { size: 11 } } }
+      },
+      onClick: (evt, elements) => {
+        const point = data[elements[0]?.index];
+        if (point) selectBattle(state.selectedBattleId === point.battle.id ? null : point.battle.id);
+      }
+    }
+  });
 }
 
 function renderBattleDetail() {
@@ -2751,42 +4597,439 @@ function renderBattleDetail() {
   if (!detail) return;
   const battle = state.allBattles.find(b => b.id === state.selectedBattleId);
   if (!battle) {
-    detail.innerHTML = '<p class="legend-note" style="margin:0;">Select a battle to see participant stats.</p>';
+    stopBattleReplay();
+    detail.innerHTML = state.selectedBattleId
+      ? `<p class="legend-note" style="margin:0;">Battle "${escapeHtml(state.selectedBattleId)}" isn't in this dataset.</p>`
+      : '<p class="legend-note" style="margin:0;">Select a battle to see participant stats.</p>';
     return;
   }
 
   const rows = (battle.participants || []).map(p => `
     <tr>
-      <td>${escapeHtml(p.user)}</td>
+      <td>${userLink(p.user)}</td>
       <td>${escapeHtml(p.team || "Unknown")}</td>
       <td>${p.attacks}</td>
       <td>${p.hitsTaken}</td>
+      <td>${p.points != null ? fmt(p.points) : "-"}</td>
       <td>${fmt(p.ratio)}</td>
     </tr>
   `).join("");
 
+  // Per-team totals and MVPs (absent on battles built before scoring existed)
+  const teamSummary = battle.teams ? ["Penguin", "Reindeer"].map(team => {
+    const t = battle.teams[team];
+    const mvp = battle.mvp?.[team];
+    return `
+      <div class="team-stat ${team.toLowerCase()}" style="padding:6px 10px;">
+        <strong>${team}</strong>: ${t.attacks} attacks, ${t.hitsTaken} hits taken, ${fmt(t.points)} pts
+        <div>MVP: ${mvp ? `${userLink(mvp.user)} (${fmt(mvp.points)} pts, ${mvp.attacks} attacks)` : "-"}</div>
+      </div>
+    `;
+  }).join("") : "";
+
   detail.innerHTML = `
     <div class="legend-note" style="margin:0 0 6px 0; display:flex; justify-content:space-between; align-items:center; gap:8px;">
-      <span>${escapeHtml(battle.roomName)} | ${formatBattleTime(battle.start)} to ${formatBattleTime(battle.end)} | ${battle.hitCount} hits, ${battle.uniqueUsers} users</span>
-      <button id="battleDetailClose" class="pill">✕</button>
+      <span>${escapeHtml(battle.roomName)} | ${formatBattleTime(battle)} to ${formatBattleTime(battle, "end")} | ${battle.hitCount} hits, ${battle.uniqueUsers} users | Winner: ${formatBattleResult(battle)}</span>
+      <span style="display:flex; gap:6px;">
+        <button id="battleDetailLink" class="pill" title="Copy link to this battle">🔗 Copy link</button>
+        <button id="battleDetailClose" class="pill">✕</button>
+      </span>
     </div>
+    ${teamSummary ? `<div class="legend-note" style="display:grid; grid-template-columns:1fr 1fr; gap:8px; margin:0 0 8px 0;">${teamSummary}</div>` : ""}
+    <div id="battleReplay" style="margin:0 0 10px 0;"></div>
     <div class="scroll" style="max-height:240px;">
       <table class="collapsible-table">
         <thead>
-          <tr><th>User</th><th>Team</th><th>Attacks</th><th>Hits Taken</th><th>Ratio</th></tr>
+          <tr><th>User</th><th>Team</th><th>Attacks</th><th>Hits Taken</th><th>Points</th><th>Ratio</th></tr>
         </thead>
         <tbody>
-          ${rows || '<tr><td colspan="5" style="color:var(--text-muted);">No participant data</td></tr>'}
+          ${rows || '<tr><td colspan="6" style="color:var(--text-muted);">No participant data</td></tr>'}
         </tbody>
       </table>
     </div>
   `;
 
+  const linkBtn = detail.querySelector("#battleDetailLink");
+  linkBtn?.addEventListener("click", () => copyLinkToClipboard(battlePermalink(battle.id), linkBtn));
+
   const closeBtn = detail.querySelector("#battleDetailClose");
-  closeBtn?.addEventListener("click", () => {
-    state.selectedBattleId = null;
-    renderBattlesTable();
+  closeBtn?.addEventListener("click", () => selectBattle(null));
+
+  renderBattleReplay(battle).catch(err => {
+    console.error("Failed to load battle replay:", err);
+    const container = document.getElementById("battleReplay");
+    if (container && state.selectedBattleId === battle.id) {
+      container.innerHTML = `<p class="legend-note" style="margin:0;">Couldn't load this battle's hits: ${escapeHtml(err.message)}</p>`;
+    }
+  });
+}
+
+// Replay of the selected battle: { battleId, hits, minutes, index, chart, timer }
+let battleReplay = null;
+
+function stopBattleReplay() {
+  if (!battleReplay) return;
+  clearInterval(battleReplay.timer);
+  battleReplay.chart?.destroy();
+  battleReplay = null;
+}
+
+/**
+ * The hits that make up a battle, oldest first, each with its parsed time as __t.
+ * Compares the raw hit times: battle.start/end are UTC ISO strings from whichever
+ * machine detected the battle, so they only line up with local parsing there.
+ */
+function getBattleHits(battle) {
+  // Battles built before startTime/endTime existed only have the ISO times
+  const inBattle = battle.startTime
+    ? e => e.time >= battle.startTime && e.time <= battle.endTime
+    : e => e.__t >= new Date(battle.start) && e.__t <= new Date(battle.end);
+  return state.allEvents
+    .filter(e => (e.roomName || e.roomId || "Unknown") === battle.roomName)
+    .map(e => ({ ...e, __t: battlesLib.parseEventTime(e.time) }))
+    .filter(e => e.__t && inBattle(e))
+    .sort((a, b) => a.__t - b.__t);
+}
+
+/**
+ * Per-minute hit counts by attacker team, plus the index of the last hit in each minute
+ */
+function buildBattleMinutes(hits) {
+  const minutes = [];
+  hits.forEach((hit, i) => {
+    const minute = new Date(hit.__t);
+    minute.setSeconds(0, 0);
+    let bucket = minutes[minutes.length - 1];
+    // Fill quiet minutes so the timeline keeps a true time axis
+    while (!bucket || bucket.start < minute) {
+      const next = bucket ? new Date(bucket.start.getTime() + 60000) : minute;
+      bucket = { start: next, Penguin: 0, Reindeer: 0, Unknown: 0, lastHit: bucket ? bucket.lastHit : -1 };
+      minutes.push(bucket);
+    }
+    const team = hit.attackerTeam === "Penguin" || hit.attackerTeam === "Reindeer" ? hit.attackerTeam : "Unknown";
+    bucket[team]++;
+    bucket.lastHit = i;
   });
+  return minutes;
+}
+
+/**
+ * Running per-user totals for hits[0..index]
+ */
+function buildReplayLeaderboard(hits, index) {
+  const byUser = new Map();
+  const entry = (user, team) => {
+    if (!byUser.has(user)) byUser.set(user, { user, team: team || "Unknown", attacks: 0, hitsTaken: 0, points: 0 });
+    return byUser.get(user);
+  };
+  for (let i = 0; i <= index; i++) {
+    const hit = hits[i];
+    if (hit.attacker) {
+      const stats = entry(hit.attacker, hit.attackerTeam);
+      stats.attacks++;
+      stats.points += Number.isFinite(Number(hit.value)) ? Number(hit.value) : 0;
+    }
+    if (hit.victim) entry(hit.victim, hit.victimTeam).hitsTaken++;
+  }
+  return [...byUser.values()].sort((a, b) => b.points - a.points || b.attacks - a.attacks || a.hitsTaken - b.hitsTaken);
+}
+
+/**
+ * Build the replay panel (timeline, scrubber, leaderboard and hit list) for a battle.
+ * Loads the battle's day shards first if the season is still streaming in.
+ */
+async function renderBattleReplay(battle) {
+  const container = document.getElementById("battleReplay");
+  if (!container) return;
+
+  const previousIndex = battleReplay?.battleId === battle.id ? battleReplay.index : null;
+  stopBattleReplay();
+
+  if (!state.eventsComplete && eventStore.index) {
+    container.innerHTML = '<p class="legend-note" style="margin:0;">Loading battle hits…</p>';
+    const days = [battleStartDate(battle), (battle.endTime || "").slice(0, 10)].filter(Boolean);
+    const events = await loadEventDays(days);
+    if (!state.eventsComplete) state.allEvents = events;
+    // Selection or detail panel may have changed while the shards loaded
+    if (state.selectedBattleId !== battle.id || document.getElementById("battleReplay") !== container) return;
+  }
+
+  const hits = getBattleHits(battle);
+  if (!hits.length) {
+    container.innerHTML = '<p class="legend-note" style="margin:0;">No hit data available to replay this battle.</p>';
+    return;
+  }
+
+  const minutes = buildBattleMinutes(hits);
+  const index = previousIndex != null ? Math.min(previousIndex, hits.length - 1) : hits.length - 1;
+  battleReplay = { battleId: battle.id, hits, minutes, index, chart: null, timer: null };
+
+  container.innerHTML = `
+    <h4 style="margin:0 0 6px 0;">Replay</h4>
+    <div class="chart-container" style="height:180px;">
+      <canvas id="battleReplayChart"></canvas>
+    </div>
+    <div class="battle-controls" style="margin:8px 0;">
+      <button class="chip-btn" id="battleReplayPlay">▶ Play</button>
+      <input id="battleReplayScrubber" type="range" min="0" max="${hits.length - 1}" value="${index}" style="flex:1;" aria-label="Replay position" />
+      <span class="legend-note" id="battleReplayPosition"></span>
+    </div>
+    <div style="display:grid; grid-template-columns:1fr 1fr; gap:8px;">
+      <div class="scroll" id="battleReplayLeaderboard" style="max-height:220px;"></div>
+      <div class="scroll" id="battleReplayHits" style="max-height:220px; position:relative;"></div>
+    </div>
+  `;
+
+  const ctx = document.getElementById("battleReplayChart");
+  const teamDataset = (team, color) => ({
+    label: team,
+    data: minutes.map(m => m[team]),
+    backgroundColor: color,
+    stack: "hits"
+  });
+  battleReplay.chart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: minutes.map(m => m.start.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" })),
+      datasets: [
+        teamDataset("Penguin", TEAM_COLORS.Penguin.bg),
+        teamDataset("Reindeer", TEAM_COLORS.Reindeer.bg),
+        teamDataset("Unknown", "rgba(156, 163, 175, 0.7)")
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { legend: { position: "bottom" } },
+      scales: {
+        x: { stacked: true, ticks: { autoSkip: true, font: { size: 10 } } },
+        y: { stacked: true, beginAtZero: true, title: { display: true, text: "Hits per minute" } }
+      },
+      // Clicking a minute jumps the scrubber to the end of it
+      onClick: (evt, elements) => {
+        const minute = minutes[elements[0]?.index];
+        if (minute && minute.lastHit >= 0) setBattleReplayIndex(minute.lastHit);
+      }
+    }
+  });
+
+  document.getElementById("battleReplayScrubber").addEventListener("input", (e) => {
+    pauseBattleReplay();
+    setBattleReplayIndex(parseInt(e.target.value, 10));
+  });
+  document.getElementById("battleReplayPlay").addEventListener("click", toggleBattleReplay);
+  document.getElementById("battleReplayHits").addEventListener("click", (e) => {
+    const row = e.target.closest("[data-hit]");
+    if (!row) return;
+    pauseBattleReplay();
+    setBattleReplayIndex(parseInt(row.getAttribute("data-hit"), 10));
+  });
+
+  setBattleReplayIndex(index);
+}
+
+/**
+ * Move the replay to hits[index]: dim later minutes and hits, refresh the leaderboard
+ */
+function setBattleReplayIndex(index) {
+  if (!battleReplay) return;
+  const { hits, minutes, chart } = battleReplay;
+  index = Math.max(0, Math.min(hits.length - 1, index));
+  battleReplay.index = index;
+
+  const hit = hits[index];
+  const scrubber = document.getElementById("battleReplayScrubber");
+  if (scrubber) scrubber.value = index;
+
+  const scores = { Penguin: 0, Reindeer: 0 };
+  for (let i = 0; i <= index; i++) {
+    if (scores[hits[i].attackerTeam] != null) scores[hits[i].attackerTeam]++;
+  }
+  const position = document.getElementById("battleReplayPosition");
+  if (position) {
+    position.textContent = `${hit.__t.toLocaleTimeString("en-US")} · hit ${index + 1}/${hits.length} · ` +
+      `Penguin ${scores.Penguin} – ${scores.Reindeer} Reindeer`;
+  }
+
+  if (chart) {
+    const colors = { Penguin: TEAM_COLORS.Penguin.bg, Reindeer: TEAM_COLORS.Reindeer.bg, Unknown: "rgba(156, 163, 175, 0.7)" };
+    chart.data.datasets.forEach(ds => {
+      ds.backgroundColor = minutes.map(m => (m.start <= hit.__t ? colors[ds.label] : "rgba(156, 163, 175, 0.2)"));
+    });
+    chart.update("none");
+  }
+
+  const leaderboard = document.getElementById("battleReplayLeaderboard");
+  if (leaderboard) {
+    const rows = buildReplayLeaderboard(hits, index).slice(0, 15).map(u => `
+      <tr>
+        <td>${userLink(u.user)} <span class="pill ${u.team.toLowerCase()}">${escapeHtml(u.team)}</span></td>
+        <td>${u.attacks}</td>
+        <td>${u.hitsTaken}</td>
+        <td>${fmt(u.points)}</td>
+      </tr>
+    `).join("");
+    leaderboard.innerHTML = `
+      <table class="collapsible-table">
+        <thead><tr><th>User</th><th>Attacks</th><th>Hits Taken</th><th>Points</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  const list = document.getElementById("battleReplayHits");
+  if (list) {
+    if (!list.querySelector("tbody")) {
+      const rows = hits.map((h, i) => `
+        <tr data-hit="${i}" style="cursor:pointer;">
+          <td>${escapeHtml(h.time.split(" ")[1] || h.time)}</td>
+          <td>${userLink(h.attacker)}</td>
+          <td>${userLink(h.victim)}</td>
+        </tr>
+      `).join("");
+      list.innerHTML = `
+        <table class="collapsible-table">
+          <thead><tr><th>Time</th><th>Attacker</th><th>Victim</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+    }
+    list.querySelectorAll("tbody tr").forEach((row, i) => {
+      row.classList.toggle("battle-selected", i === index);
+      row.style.opacity = i > index ? "0.4" : "";
+    });
+    const current = list.querySelector(`[data-hit="${index}"]`);
+    if (current) list.scrollTop = current.offsetTop - list.clientHeight / 2;
+  }
+}
+
+function pauseBattleReplay() {
+  if (!battleReplay?.timer) return;
+  clearInterval(battleReplay.timer);
+  battleReplay.timer = null;
+  const btn = document.getElementById("battleReplayPlay");
+  if (btn) btn.textContent = "▶ Play";
+}
+
+/**
+ * Play the battle from the current position (or from the start if at the end),
+ * taking about ten seconds whatever its length
+ */
+function toggleBattleReplay() {
+  if (!battleReplay) return;
+  if (battleReplay.timer) {
+    pauseBattleReplay();
+    return;
+  }
+
+  const { hits } = battleReplay;
+  if (battleReplay.index >= hits.length - 1) setBattleReplayIndex(0);
+  const step = Math.max(1, Math.ceil(hits.length / 200));
+  battleReplay.timer = setInterval(() => {
+    setBattleReplayIndex(battleReplay.index + step);
+    if (battleReplay.index >= hits.length - 1) pauseBattleReplay();
+  }, 50);
+  document.getElementById("battleReplayPlay").textContent = "⏸ Pause";
+}
+
+const BATTLE_HASH_PREFIX = "#battle=";
+
+/**
+ * Battle id from a "#battle=<id>" permalink, or null
+ */
+function getBattleIdFromHash() {
+  const hash = window.location.hash;
+  if (!hash.startsWith(BATTLE_HASH_PREFIX)) return null;
+  return decodeURIComponent(hash.slice(BATTLE_HASH_PREFIX.length)) || null;
+}
+
+function battlePermalink(id) {
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${BATTLE_HASH_PREFIX}${encodeURIComponent(id)}`;
+}
+
+/**
+ * Select a battle (or clear the selection with null), keeping the URL hash in sync
+ */
+function selectBattle(id, { updateHash = true, scroll = false } = {}) {
+  state.selectedBattleId = id;
+
+  // Permalinks name battles from the default clustering, so fall back to it
+  // if the current parameters don't produce the linked battle
+  if (id && !state.allBattles.some(b => b.id === id) && state.baseBattles.some(b => b.id === id)) {
+    Object.assign(state, defaultBattleParams());
+    recomputeBattles();
+  }
+
+  // Loosen the filters if they would hide the selected battle's row
+  const battle = id ? state.allBattles.find(b => b.id === id) : null;
+  if (battle && !getFilteredBattles().includes(battle)) {
+    state.battleRoomFilter = "All";
+    state.battleMinHits = Math.min(state.battleMinHits, battle.hitCount);
+    state.battleDateFrom = "";
+    state.battleDateTo = "";
+  }
+  if (battle) writeURLState();
+
+  if (updateHash) {
+    const base = `${window.location.pathname}${window.location.search}`;
+    history.replaceState(null, "", id ? `${base}${BATTLE_HASH_PREFIX}${encodeURIComponent(id)}` : base);
+  }
+
+  renderBattlesTable();
+
+  if (scroll) {
+    document.getElementById("battles-section")?.scrollIntoView({ block: "start" });
+  }
+}
+
+/**
+ * Open the battle named in the URL hash, if any
+ */
+function applyBattlePermalink() {
+  const id = getBattleIdFromHash();
+  if (id) selectBattle(id, { updateHash: false, scroll: true });
+}
+
+function defaultBattleParams() {
+  return {
+    battleMinHits: battlesLib.BATTLE_MIN_HITS,
+    battleMaxGapSeconds: battlesLib.BATTLE_MAX_GAP_SECONDS,
+    battleRoomFilter: "All",
+    battleDateFrom: "",
+    battleDateTo: ""
+  };
+}
+
+function usesDefaultClustering() {
+  return state.battleMaxGapSeconds === battlesLib.BATTLE_MAX_GAP_SECONDS &&
+    state.battleMinHits >= battlesLib.BATTLE_MIN_HITS;
+}
+
+/**
+ * Rebuild state.allBattles for the current clustering parameters. The shipped
+ * battles were clustered with the defaults, so they're reused (and just
+ * filtered) unless the gap changes or the minimum drops below the default.
+ */
+function recomputeBattles() {
+  if (usesDefaultClustering() || !state.allEvents.length) {
+    state.allBattles = state.baseBattles;
+    return;
+  }
+  state.allBattles = battlesLib.detectBattles(state.allEvents, {
+    minHits: state.battleMinHits,
+    maxGapSeconds: state.battleMaxGapSeconds
+  });
+}
+
+/**
+ * Day a battle started on (YYYY-MM-DD, same clock as the events)
+ */
+function battleStartDate(battle) {
+  if (battle.startTime) return battle.startTime.slice(0, 10);
+  const d = new Date(battle.start);
+  if (Number.isNaN(d.getTime())) return "";
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
 }
 
 function getFilteredBattles() {
@@ -2794,24 +5037,45 @@ function getFilteredBattles() {
   return state.allBattles.filter(b => {
     if (b.hitCount < minHits) return false;
     if (state.battleRoomFilter !== "All" && b.roomName !== state.battleRoomFilter) return false;
+    if (state.battleDateFrom || state.battleDateTo) {
+      const day = battleStartDate(b);
+      if (state.battleDateFrom && day < state.battleDateFrom) return false;
+      if (state.battleDateTo && day > state.battleDateTo) return false;
+    }
     return true;
   });
 }
 
+/**
+ * Apply changed battle controls: re-cluster if needed, update the URL and re-render
+ */
+function updateBattleParams(changes) {
+  Object.assign(state, changes);
+  recomputeBattles();
+  writeURLState();
+  renderBattlesTable();
+  refreshUsersForEventFilter();
+}
+
 function renderBattlesTable() {
   const table = document.getElementById("battlesTable");
   if (!table) return;
 
   populateBattleRoomFilter();
 
-  const minHitsInput = document.getElementById("battleMinHits");
-  if (minHitsInput) {
-    minHitsInput.value = state.battleMinHits;
-  }
+  syncBattleControls();
+
+  // Re-clustered battles only cover the days loaded so far
+  if (!usesDefaultClustering()) requestSeasonEvents();
+  const partialNote = !usesDefaultClustering() && !state.eventsComplete
+    ? '<p class="legend-note" style="margin:0 0 8px;">Showing battles from recent days only; older days are still loading…</p>'
+    : "";
 
   const battles = getFilteredBattles();
+  renderBattleRecord(battles);
+  renderBattleTimeline(battles);
   if (!battles.length) {
-    table.innerHTML = '<p class="legend-note" style="margin:0;">No battles match the current filters.</p>';
+    table.innerHTML = partialNote + '<p class="legend-note" style="margin:0;">No battles match the current filters.</p>';
     renderBattleDetail();
     return;
   }
@@ -2823,18 +5087,19 @@ function renderBattlesTable() {
     return `
       <tr data-battle="${escapeHtml(b.id)}" class="${selectedClass}">
         <td>${escapeHtml(b.roomName)}</td>
-        <td>${formatBattleTime(b.start)}</td>
-        <td>${formatBattleTime(b.end)}</td>
+        <td>${formatBattleTime(b)}</td>
+        <td>${formatBattleTime(b, "end")}</td>
         <td>${b.durationMinutes} min</td>
         <td>${b.hitCount}</td>
         <td>${b.uniqueUsers}</td>
-        <td>${topAtt ? `${escapeHtml(topAtt.user)} (${topAtt.attacks})` : "-"}</td>
-        <td>${topVict ? `${escapeHtml(topVict.user)} (${topVict.hitsTaken})` : "-"}</td>
+        <td>${formatBattleResult(b)}</td>
+        <td>${topAtt ? `${userLink(topAtt.user)} (${topAtt.attacks})` : "-"}</td>
+        <td>${topVict ? `${userLink(topVict.user)} (${topVict.hitsTaken})` : "-"}</td>
       </tr>
     `;
   }).join("");
 
-  table.innerHTML = `
+  table.innerHTML = `${partialNote}
     <table class="collapsible-table">
       <thead>
         <tr>
@@ -2844,6 +5109,7 @@ function renderBattlesTable() {
           <th>Duration</th>
           <th>Hits</th>
           <th>Users</th>
+          <th>Winner</th>
           <th>Top Attacker</th>
           <th>Top Victim</th>
         </tr>
@@ -2882,14 +5148,19 @@ function populateRoomFilter() {
     html += `<option value="${escapeHtml(room)}">${escapeHtml(room)}</option>`;
   });
   select.innerHTML = html;
+
+  // Keep the current selection when the list is rebuilt
+  if (!rooms.has(state.eventsRoomFilter)) state.eventsRoomFilter = "All";
+  select.value = state.eventsRoomFilter;
 }
 
 function setupEventListeners() {
   // Initialize combo boxes for user search (dropdown autocomplete)
   initComboBox("userSearch", "userSearchDropdown", { multiSelect: true });
 
-  // Initialize combo boxes for H2H inputs
+  // Initialize combo boxes for H2H inputs (each side takes one user or a comma-separated squad)
   initComboBox("h2hUser1", "h2hUser1Dropdown", {
+    multiSelect: true,
     onSelect: () => {
       // Auto-compare when both users are filled
       const user1 = document.getElementById("h2hUser1").value.trim();
@@ -2901,6 +5172,7 @@ function setupEventListeners() {
   });
 
   initComboBox("h2hUser2", "h2hUser2Dropdown", {
+    multiSelect: true,
     onSelect: () => {
       // Auto-compare when both users are filled
       const user1 = document.getElementById("h2hUser1").value.trim();
@@ -3002,9 +5274,37 @@ function setupEventListeners() {
   const eventsSearch = document.getElementById("eventsSearch");
   eventsSearch?.addEventListener("input", () => {
     state.eventsSearch = eventsSearch.value || "";
-    renderEventsTable();
+    scheduleEventsTableRender();
   });
 
+  const eventsQueryInput = document.getElementById("eventsQuery");
+  eventsQueryInput?.addEventListener("input", () => {
+    state.eventsQuery = eventsQueryInput.value || "";
+    scheduleEventsTableRender();
+  });
+
+  // Events table scrolling and paging
+  const eventsScroller = document.getElementById("eventsTable")?.parentElement;
+  eventsScroller?.addEventListener("scroll", () => onEventsScroll(eventsScroller));
+
+  document.getElementById("eventsFirstPage")?.addEventListener("click", () => goToEventsPage(1));
+  document.getElementById("eventsPrevPage")?.addEventListener("click", () => {
+    goToEventsPage(Math.floor(eventsView.topIndex / EVENTS_PAGE_SIZE));
+  });
+  document.getElementById("eventsNextPage")?.addEventListener("click", () => {
+    goToEventsPage(Math.floor(eventsView.topIndex / EVENTS_PAGE_SIZE) + 2);
+  });
+  document.getElementById("eventsLastPage")?.addEventListener("click", () => goToEventsPage(Infinity));
+
+  const eventsPageInput = document.getElementById("eventsPageInput");
+  eventsPageInput?.addEventListener("change", () => {
+    const page = parseInt(eventsPageInput.value, 10);
+    if (Number.isFinite(page)) goToEventsPage(page);
+  });
+
+  const eventsJumpDate = document.getElementById("eventsJumpDate");
+  eventsJumpDate?.addEventListener("change", () => jumpEventsToDate(eventsJumpDate.value));
+
   const eventsTeamFilter = document.getElementById("eventsTeamFilter");
   eventsTeamFilter?.addEventListener("change", () => {
     state.eventsTeamFilter = eventsTeamFilter.value;
@@ -3030,21 +5330,52 @@ function setupEventListeners() {
 
   // Date filters
   const eventsDateFrom = document.getElementById("eventsDateFrom");
-  eventsDateFrom?.addEventListener("change", () => {
+  eventsDateFrom?.addEventListener("change", async () => {
     state.eventsDateFrom = eventsDateFrom.value;
+    await ensureEventsForDateRange();
     renderEventsTable();
   });
 
   const eventsDateTo = document.getElementById("eventsDateTo");
-  eventsDateTo?.addEventListener("change", () => {
+  eventsDateTo?.addEventListener("change", async () => {
     state.eventsDateTo = eventsDateTo.value;
+    await ensureEventsForDateRange();
     renderEventsTable();
   });
 
+  // Team race timeline controls
+  const timelineMetric = document.getElementById("timelineMetric");
+  timelineMetric?.addEventListener("change", () => {
+    state.timelineMetric = timelineMetric.value;
+    renderTeamTimeline();
+  });
+
+  const timelineDaily = document.getElementById("timelineDaily");
+  const timelineHourly = document.getElementById("timelineHourly");
+  timelineDaily?.addEventListener("click", () => {
+    state.timelineResolution = "daily";
+    renderTeamTimeline();
+  });
+  timelineHourly?.addEventListener("click", () => {
+    state.timelineResolution = "hourly";
+    renderTeamTimeline();
+  });
+
+  const resetTimelineZoom = document.getElementById("resetTimelineZoom");
+  resetTimelineZoom?.addEventListener("click", () => state.timelineChart?.resetZoom());
+
+  const resetBattleTimelineZoom = document.getElementById("resetBattleTimelineZoom");
+  resetBattleTimelineZoom?.addEventListener("click", () => state.battleTimelineChart?.resetZoom());
+
   // Head-to-head comparison
   const h2hCompare = document.getElementById("h2hCompare");
   h2hCompare?.addEventListener("click", compareHeadToHead);
 
+  document.getElementById("rivalryMinHits")?.addEventListener("change", renderRivalries);
+  document.getElementById("rivalryCrossTeam")?.addEventListener("change", renderRivalries);
+
+  setupNetworkInteractions();
+
   // Also trigger on Enter key in h2h inputs
   const h2hUser1 = document.getElementById("h2hUser1");
   const h2hUser2 = document.getElementById("h2hUser2");
@@ -3060,22 +5391,23 @@ function setupEventListeners() {
   themeToggle?.addEventListener("click", toggleDarkMode);
   updateThemeToggleIcon();
 
-  // Data mode toggle
-  const dataModeLive = document.getElementById("dataModeLive");
-  const dataModePreReset = document.getElementById("dataModePreReset");
-  dataModeLive?.addEventListener("click", () => switchDataMode("live"));
-  dataModePreReset?.addEventListener("click", () => switchDataMode("pre-reset"));
+  // Season picker
+  const seasonSelect = document.getElementById("seasonSelect");
+  seasonSelect?.addEventListener("change", () => switchDataMode(seasonSelect.value));
 
   // Refresh button (only works in live mode)
   const refreshBtn = document.getElementById("refreshDataBtn");
   refreshBtn?.addEventListener("click", () => {
-    if (state.dataMode === "pre-reset") {
+    if (state.dataMode !== "live") {
       alert("Refresh is only available in Live mode. Switch to Live mode to fetch fresh data.");
       return;
     }
     refreshFromAPI();
   });
 
+  // Local CSV files (Open CSV button or drag and drop)
+  setupLocalFileInput();
+
   // Roster search filters
   const penguinRosterSearch = document.getElementById("penguinRosterSearch");
   const reindeerRosterSearch = document.getElementById("reindeerRosterSearch");
@@ -3094,15 +5426,36 @@ function setupEventListeners() {
 
   const battleRoomFilter = document.getElementById("battleRoomFilter");
   battleRoomFilter?.addEventListener("change", () => {
-    state.battleRoomFilter = battleRoomFilter.value;
-    renderBattlesTable();
+    updateBattleParams({ battleRoomFilter: battleRoomFilter.value });
   });
 
-  const battleMinHits = document.getElementById("battleMinHits");
-  battleMinHits?.addEventListener("input", () => {
-    const parsed = parseInt(battleMinHits.value, 10);
-    state.battleMinHits = Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
-    renderBattlesTable();
+  // Re-clustering a whole season takes a moment, so wait for typing to pause
+  let battleParamsTimer = null;
+  const onBattleNumberInput = (input, key, fallback) => {
+    input?.addEventListener("input", () => {
+      clearTimeout(battleParamsTimer);
+      battleParamsTimer = setTimeout(() => {
+        const parsed = parseInt(input.value, 10);
+        updateBattleParams({ [key]: Number.isFinite(parsed) ? Math.max(1, parsed) : fallback() });
+      }, 150);
+    });
+  };
+  onBattleNumberInput(document.getElementById("battleMinHits"), "battleMinHits", () => battlesLib.BATTLE_MIN_HITS);
+  onBattleNumberInput(document.getElementById("battleMaxGap"), "battleMaxGapSeconds", () => battlesLib.BATTLE_MAX_GAP_SECONDS);
+
+  const battleDateFrom = document.getElementById("battleDateFrom");
+  battleDateFrom?.addEventListener("change", () => {
+    updateBattleParams({ battleDateFrom: battleDateFrom.value });
+  });
+
+  const battleDateTo = document.getElementById("battleDateTo");
+  battleDateTo?.addEventListener("change", () => {
+    updateBattleParams({ battleDateTo: battleDateTo.value });
+  });
+
+  const battleParamsReset = document.getElementById("battleParamsReset");
+  battleParamsReset?.addEventListener("click", () => {
+    updateBattleParams(defaultBattleParams());
   });
 
   const battlesTable = document.getElementById("battlesTable");
@@ -3110,17 +5463,50 @@ function setupEventListeners() {
     const row = e.target.closest("[data-battle]");
     if (!row) return;
     const id = row.getAttribute("data-battle");
-    state.selectedBattleId = state.selectedBattleId === id ? null : id;
-    renderBattlesTable();
+    selectBattle(state.selectedBattleId === id ? null : id);
+  });
+
+  // Battle permalinks (#battle=<id>)
+  window.addEventListener("hashchange", applyBattlePermalink);
+
+  // Any username rendered with userLink() opens the profile drawer. Capture
+  // phase, so the click doesn't also trigger the row it sits in.
+  const openProfileFrom = (e) => {
+    const link = e.target.closest?.("[data-profile]");
+    if (!link) return false;
+    e.preventDefault();
+    e.stopPropagation();
+    openUserProfile(link.getAttribute("data-profile"));
+    return true;
+  };
+  document.addEventListener("click", openProfileFrom, true);
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && openProfileFrom(e)) return;
+    if (e.key === "Escape" && state.profileUser) closeUserProfile();
   });
+  document.getElementById("profileClose")?.addEventListener("click", closeUserProfile);
+  document.getElementById("profileBackdrop")?.addEventListener("click", closeUserProfile);
+
+  // The handlers above update state; once they've run, mirror it into the URL
+  let urlStateTimer = null;
+  const scheduleURLStateWrite = () => {
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(writeURLState, 250);
+  };
+  ["input", "change", "click"].forEach(type => document.addEventListener(type, scheduleURLStateWrite));
 }
 
 (async function main() {
   try {
-    // Restore saved data mode preference (default to "live")
+    await loadSharedLibs();
+
+    // Restore view settings from the URL; a season in the URL wins over the
+    // saved data mode preference (default to "live")
+    await loadSeasons();
+    readURLState();
     const savedMode = localStorage.getItem("dataMode");
-    if (savedMode === "pre-reset") {
-      state.dataMode = "pre-reset";
+    if (!new URLSearchParams(window.location.search).has("season") && savedMode && getSeason(savedMode)) {
+      state.dataMode = savedMode;
     }
     updateDataModeUI();
 
@@ -3129,6 +5515,13 @@ function setupEventListeners() {
 
     // Load and render all data
     await loadAndRefreshData();
+    if (state.selectedUsers.size) {
+      updateSelectionUI();
+      updateScatterHighlights();
+    }
+
+    // Open a linked battle, if the URL names one
+    applyBattlePermalink();
 
     // Initialize admin panel if in admin mode
     initAdminPanel();
@@ -0,0 +1,251 @@
+// Battle detection shared by the build (scripts/build-data.mjs) and the
+// dashboard (docs/app.js), so static and live data cluster hits the same way.
+//
+// A battle is a run of hits in one room where no two consecutive hits are
+// more than maxGapSeconds apart, with at least minHits hits in total.
+
+export const BATTLE_MIN_HITS = 30;
+export const BATTLE_MAX_GAP_SECONDS = 120;
+
+// Teams that can win a battle; hits by or on "Unknown" users don't count toward a result
+export const BATTLE_TEAMS = ["Penguin", "Reindeer"];
+export const BATTLE_TIE = "Tie";
+
+export function safeRatio(attacks, hitsTaken) {
+  if (!hitsTaken) return attacks ? attacks / 1 : 0;
+  return attacks / hitsTaken;
+}
+
+/**
+ * Parse a "YYYY-MM-DD HH:MM:SS" hit time as local time.
+ */
+export function parseEventTime(str) {
+  if (!str) return null;
+  const [datePart, timePart] = str.split(" ");
+  if (!datePart || !timePart) return null;
+  const [year, month, day] = datePart.split("-").map(Number);
+  const [hour, minute, second] = timePart.split(":").map(Number);
+  if ([year, month, day, hour, minute, second].some(v => Number.isNaN(v))) return null;
+  return new Date(year, month - 1, day, hour, minute, second);
+}
+
+/**
+ * Display name for a hit's room id, falling back to the raw id for rooms
+ * missing from rooms.json. Battle ids are built from this name, so the build
+ * and live mode must both name rooms through here.
+ */
+export function roomNameFor(rooms, roomId) {
+  return rooms?.[roomId] || roomId || "Unknown";
+}
+
+/**
+ * Stable battle id from the room and the raw time of its first hit, so the
+ * same fight keeps its id across builds and between live and static data.
+ */
+export function battleId(roomName, firstHitTime) {
+  const slug = String(roomName).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "room";
+  return `${slug}-${String(firstHitTime).replace(/\D/g, "")}`;
+}
+
+function hitValue(evt) {
+  const value = Number(evt.value);
+  return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Per-team totals, result and MVPs for one battle's hits.
+ * The winner is the team with more adjusted points (sum of hit values),
+ * falling back to raw attacks when points are level; margin is in the
+ * same unit the result was decided by.
+ */
+function scoreBattle(hits, participants) {
+  const teams = {};
+  for (const team of BATTLE_TEAMS) teams[team] = { attacks: 0, hitsTaken: 0, points: 0 };
+
+  for (const evt of hits) {
+    if (teams[evt.attackerTeam]) {
+      teams[evt.attackerTeam].attacks++;
+      teams[evt.attackerTeam].points += hitValue(evt);
+    }
+    if (teams[evt.victimTeam]) teams[evt.victimTeam].hitsTaken++;
+  }
+
+  const [a, b] = BATTLE_TEAMS;
+  let winner = BATTLE_TIE;
+  let margin = 0;
+  let decidedBy = "points";
+  if (teams[a].points !== teams[b].points) {
+    winner = teams[a].points > teams[b].points ? a : b;
+    margin = Math.abs(teams[a].points - teams[b].points);
+  } else if (teams[a].attacks !== teams[b].attacks) {
+    winner = teams[a].attacks > teams[b].attacks ? a : b;
+    margin = Math.abs(teams[a].attacks - teams[b].attacks);
+    decidedBy = "attacks";
+  }
+
+  // MVP: most points for their side, then most attacks, then fewest hits taken
+  const mvp = {};
+  for (const team of BATTLE_TEAMS) {
+    const best = participants
+      .filter(p => p.team === team && p.attacks > 0)
+      .sort((x, y) => y.points - x.points || y.attacks - x.attacks || x.hitsTaken - y.hitsTaken)[0];
+    mvp[team] = best ? { user: best.user, attacks: best.attacks, hitsTaken: best.hitsTaken, points: best.points } : null;
+  }
+
+  return { teams, winner, margin, decidedBy, mvp };
+}
+
+/**
+ * Wins, losses and ties per team across a set of battles, overall and by room.
+ * Battles without a result (from data built before scoring existed) are skipped.
+ */
+export function battleRecord(battles) {
+  const emptyRecord = () => {
+    const record = { battles: 0, ties: 0 };
+    for (const team of BATTLE_TEAMS) record[team] = { wins: 0, losses: 0 };
+    return record;
+  };
+  const tally = (record, winner) => {
+    record.battles++;
+    if (winner === BATTLE_TIE) {
+      record.ties++;
+      return;
+    }
+    for (const team of BATTLE_TEAMS) {
+      if (team === winner) record[team].wins++;
+      else record[team].losses++;
+    }
+  };
+
+  const overall = emptyRecord();
+  const rooms = new Map();
+  for (const battle of battles) {
+    if (!battle.winner) continue;
+    if (!rooms.has(battle.roomName)) rooms.set(battle.roomName, emptyRecord());
+    tally(overall, battle.winner);
+    tally(rooms.get(battle.roomName), battle.winner);
+  }
+
+  const byRoom = [...rooms.entries()]
+    .map(([roomName, record]) => ({ roomName, ...record }))
+    .sort((x, y) => y.battles - x.battles || x.roomName.localeCompare(y.roomName));
+
+  return { overall, byRoom };
+}
+
+/**
+ * Cluster hits into battles, newest first.
+ * Options: { minHits, maxGapSeconds }, defaulting to the constants above.
+ */
+export function detectBattles(events, { minHits = BATTLE_MIN_HITS, maxGapSeconds = BATTLE_MAX_GAP_SECONDS } = {}) {
+  const byRoom = new Map();
+  for (const evt of events) {
+    const room = evt.roomName || evt.roomId || "Unknown";
+    if (!byRoom.has(room)) byRoom.set(room, []);
+    byRoom.get(room).push(evt);
+  }
+
+  const battles = [];
+  for (const [roomName, roomEvents] of byRoom.entries()) {
+    const sorted = [...roomEvents]
+      .map(e => ({ ...e, __t: parseEventTime(e.time) }))
+      .filter(e => e.__t)
+      .sort((a, b) => a.__t - b.__t);
+
+    if (!sorted.length) continue;
+
+    let cluster = [];
+    let prevTime = null;
+
+    const flushCluster = () => {
+      if (!cluster.length) return;
+      const hitCount = cluster.length;
+      if (hitCount < minHits) {
+        cluster = [];
+        return;
+      }
+
+      const first = cluster[0];
+      const last = cluster[cluster.length - 1];
+      const durationMinutes = Math.max(1, Math.round((last.__t - first.__t) / 60000));
+
+      const byUser = new Map();
+      const userSet = new Set();
+
+      for (const evt of cluster) {
+        if (evt.attacker) {
+          userSet.add(evt.attacker);
+          const stats = byUser.get(evt.attacker) || { user: evt.attacker, team: evt.attackerTeam || "Unknown", attacks: 0, hitsTaken: 0, points: 0 };
+          stats.attacks++;
+          stats.points += hitValue(evt);
+          byUser.set(evt.attacker, stats);
+        }
+        if (evt.victim) {
+          userSet.add(evt.victim);
+          const stats = byUser.get(evt.victim) || { user: evt.victim, team: evt.victimTeam || "Unknown", attacks: 0, hitsTaken: 0, points: 0 };
+          stats.hitsTaken++;
+          byUser.set(evt.victim, stats);
+        }
+      }
+
+      const participants = [...byUser.values()].map(s => ({
+        ...s,
+        ratio: safeRatio(s.attacks, s.hitsTaken)
+      })).sort((a, b) => (b.attacks + b.hitsTaken) - (a.attacks + a.hitsTaken));
+
+      const topAttackers = [...participants]
+        .filter(p => p.attacks > 0)
+        .sort((a, b) => b.attacks - a.attacks)
+        .slice(0, 3)
+        .map(p => ({ user: p.user, team: p.team, attacks: p.attacks }));
+
+      const topVictims = [...participants]
+        .filter(p => p.hitsTaken > 0)
+        .sort((a, b) => b.hitsTaken - a.hitsTaken)
+        .slice(0, 3)
+        .map(p => ({ user: p.user, team: p.team, hitsTaken: p.hitsTaken }));
+
+      battles.push({
+        id: battleId(roomName, first.time),
+        roomName,
+        start: first.__t.toISOString(),
+        end: last.__t.toISOString(),
+        // Raw hit times (same clock as events); the page displays, sorts and
+        // filters battles by these, since start/end depend on the local zone
+        startTime: first.time,
+        endTime: last.time,
+        durationMinutes,
+        hitCount,
+        uniqueUsers: userSet.size,
+        topAttackers,
+        topVictims,
+        participants,
+        ...scoreBattle(cluster, participants)
+      });
+
+      cluster = [];
+    };
+
+    for (const evt of sorted) {
+      if (!prevTime) {
+        cluster.push(evt);
+        prevTime = evt.__t;
+        continue;
+      }
+
+      const gapSeconds = (evt.__t - prevTime) / 1000;
+      if (gapSeconds <= maxGapSeconds) {
+        cluster.push(evt);
+      } else {
+        flushCluster();
+        cluster = [evt];
+      }
+      prevTime = evt.__t;
+    }
+
+    flushCluster();
+  }
+
+  // By raw hit time, which sorts the same in any zone
+  return battles.sort((a, b) => b.startTime.localeCompare(a.startTime) || b.hitCount - a.hitCount);
+}
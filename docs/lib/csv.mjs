@@ -0,0 +1,148 @@
+// CSV parsing shared by the build (scripts/build-data.mjs) and the dashboard's
+// live and local-file modes, so both read MyVMK exports the same way.
+
+// Malformed rows kept per report; the rest are only counted
+const MAX_REPORTED_ERRORS = 20;
+
+// Header names accepted for each column of the gethits and getsnowteams CSVs
+export const HITS_COLUMNS = {
+  time: ["time"],
+  attacker: ["attacker"],
+  victim: ["victim"],
+  room: ["room", "roomid"],
+  value: ["value"]
+};
+export const HITS_REQUIRED = ["time", "attacker", "victim", "room"];
+export const TEAMS_COLUMNS = {
+  username: ["username", "user"],
+  team: ["team"]
+};
+
+export class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CsvError";
+  }
+}
+
+/**
+ * Split CSV text into rows of fields, with the 1-based line each row starts
+ * on. Handles quoted fields, "" escapes and CR/LF/CRLF line endings, inside
+ * quotes too. Blank lines are skipped. `unterminated` is set when the text
+ * ends inside a quoted field.
+ */
+export function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let cur = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // A byte order mark would otherwise end up in the first header name
+  const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '"' && inQuotes && next === '"') {
+      cur += '"';
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    if (ch === "," && !inQuotes) {
+      row.push(cur);
+      cur = "";
+      continue;
+    }
+    if (ch === "\n" || ch === "\r") {
+      const crlf = ch === "\r" && next === "\n";
+      if (crlf) i++;
+      line++;
+      if (inQuotes) {
+        cur += crlf ? "\r\n" : ch;
+        continue;
+      }
+      row.push(cur);
+      cur = "";
+      if (row.length > 1 || (row.length === 1 && row[0] !== "")) rows.push({ fields: row, line: rowLine });
+      row = [];
+      rowLine = line;
+      continue;
+    }
+    cur += ch;
+  }
+  if (cur.length || row.length) {
+    row.push(cur);
+    rows.push({ fields: row, line: rowLine });
+  }
+  return { rows, unterminated: inQuotes ? rowLine : null };
+}
+
+/**
+ * Basic CSV parser: an array of rows, each an array of field strings.
+ */
+export function parseCSV(text) {
+  return parseCSVRows(text).rows.map(r => r.fields);
+}
+
+/**
+ * Read CSV text into records keyed by column, finding columns by header name
+ * (case-insensitive) rather than position.
+ *
+ * columns maps each record key to its accepted header names, e.g.
+ *   { attacker: ["attacker"], room: ["room", "roomid"] }
+ * Throws CsvError when a `required` column is missing from the header. Rows
+ * with more fields than the header (usually an unquoted comma) or too few to
+ * reach a required column are skipped and reported in `errors`
+ * ({ line, message }, the first few only) and `skipped`.
+ */
+export function readCSVRecords(text, { columns, required = Object.keys(columns) }) {
+  const { rows, unterminated } = parseCSVRows(text || "");
+  if (!rows.length) throw new CsvError("CSV is empty");
+
+  const header = rows[0].fields.map(h => h.trim().toLowerCase());
+  const index = {};
+  for (const [key, names] of Object.entries(columns)) {
+    index[key] = header.findIndex(h => names.some(n => n.toLowerCase() === h));
+  }
+  const missing = required.filter(key => index[key] === -1);
+  if (missing.length) {
+    throw new CsvError(`CSV is missing the ${missing.join(", ")} column${missing.length > 1 ? "s" : ""} (header: ${rows[0].fields.join(",")})`);
+  }
+
+  const report = createCSVReport();
+  const records = [];
+  for (const { fields, line } of rows.slice(1)) {
+    if (line === unterminated) {
+      reportCSVError(report, line, "quoted field is never closed; skipped the rest of the file");
+      continue;
+    }
+    if (fields.length > header.length || required.some(key => index[key] >= fields.length)) {
+      reportCSVError(report, line, `expected ${header.length} fields, found ${fields.length}`);
+      continue;
+    }
+    const record = { line };
+    for (const [key, i] of Object.entries(index)) record[key] = (fields[i] ?? "").trim();
+    records.push(record);
+  }
+
+  return { records, ...report };
+}
+
+export function createCSVReport() {
+  return { errors: [], skipped: 0 };
+}
+
+/**
+ * Count a malformed row, keeping its description if there's room.
+ */
+export function reportCSVError(report, line, message) {
+  report.skipped++;
+  if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ line, message });
+}
@@ -0,0 +1,338 @@
+// Filter expression language used by the dashboard's filter inputs.
+//
+//   attacks > 100 and (team = Penguin or ratio >= 2)
+//   not user contains bot, lastActive between 2025-12-01 and 2025-12-15
+//   user ~ /^ice/i
+//
+// Conditions are `field op value`, where op is one of = != < <= > >=,
+// `contains`, `~`/`matches` (regex) or `between <low> and <high>` (inclusive).
+// Conditions combine with `and` (or a comma), `or` and `not`, and group
+// with parentheses. Values are numbers, bare words, "quoted strings",
+// /regex/flags or YYYY-MM-DD dates, depending on the field's type.
+//
+// The fields are supplied by the caller as
+//   { name: { type: "number" | "string" | "date", get: row => value, aliases: [...] } }
+
+export class FilterError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = "FilterError";
+    this.position = position;
+  }
+}
+
+const COMPARISON_OPS = new Set(["=", "==", "!=", "<", "<=", ">", ">="]);
+const WORD_OPS = new Set(["contains", "matches", "between"]);
+const DATE_RE = /^\d{4}-\d{2}-\d{2}( \d{2}(:\d{2}(:\d{2})?)?)?$/;
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch, text: ch, position: start });
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      let text = "";
+      i++;
+      while (i < input.length && input[i] !== ch) {
+        if (input[i] === "\\" && i + 1 < input.length) i++;
+        text += input[i++];
+      }
+      if (i >= input.length) throw new FilterError("Unterminated string", start);
+      i++;
+      tokens.push({ type: "string", text, position: start });
+    } else if (ch === "/") {
+      let source = "";
+      i++;
+      while (i < input.length && input[i] !== "/") {
+        if (input[i] === "\\" && i + 1 < input.length) source += input[i++];
+        source += input[i++];
+      }
+      if (i >= input.length) throw new FilterError("Unterminated regex", start);
+      i++;
+      let flags = "";
+      while (i < input.length && /[a-z]/i.test(input[i])) flags += input[i++];
+      tokens.push({ type: "regex", text: source, flags, position: start });
+    } else if ("=!<>~&|".includes(ch)) {
+      const two = input.slice(i, i + 2);
+      if (["==", "!=", "<=", ">=", "&&", "||"].includes(two)) {
+        i += 2;
+        tokens.push(two === "&&" ? { type: "and", text: two, position: start }
+          : two === "||" ? { type: "or", text: two, position: start }
+          : { type: "op", text: two, position: start });
+      } else if (ch === "!") {
+        i++;
+        tokens.push({ type: "not", text: ch, position: start });
+      } else if (ch === "&" || ch === "|") {
+        throw new FilterError(`Unexpected "${ch}" (use "${ch}${ch}", "and" or "or")`, start);
+      } else {
+        i++;
+        tokens.push({ type: "op", text: ch === "~" ? "matches" : ch, position: start });
+      }
+    } else {
+      while (i < input.length && !/[\s(),"'=!<>~&|]/.test(input[i])) i++;
+      const text = input.slice(start, i);
+      const lower = text.toLowerCase();
+      if (lower === "and" || lower === "or" || lower === "not") {
+        tokens.push({ type: lower, text, position: start });
+      } else if (WORD_OPS.has(lower)) {
+        tokens.push({ type: "op", text: lower, position: start });
+      } else {
+        tokens.push({ type: "word", text, position: start });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of
+ *   { type: "or" | "and", items } / { type: "not", item } /
+ *   { type: "cond", field, op, value, high, position }
+ * Returns null for an empty expression; throws FilterError on bad syntax.
+ */
+export function parseFilter(input) {
+  const tokens = tokenize(input || "");
+  if (!tokens.length) return null;
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const end = () => (tokens.length ? tokens[tokens.length - 1].position + tokens[tokens.length - 1].text.length : 0);
+  const describe = (token) => (token ? `"${token.text}"` : "end of filter");
+
+  function parseOr() {
+    const items = [parseAnd()];
+    while (peek()?.type === "or") {
+      pos++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: "or", items };
+  }
+
+  function parseAnd() {
+    const items = [parseNot()];
+    while (peek()?.type === "and" || peek()?.type === ",") {
+      pos++;
+      items.push(parseNot());
+    }
+    return items.length === 1 ? items[0] : { type: "and", items };
+  }
+
+  function parseNot() {
+    if (peek()?.type === "not") {
+      pos++;
+      return { type: "not", item: parseNot() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (token?.type === "(") {
+      pos++;
+      const inner = parseOr();
+      if (peek()?.type !== ")") throw new FilterError(`Expected ")" but found ${describe(peek())}`, peek()?.position ?? end());
+      pos++;
+      return inner;
+    }
+    if (token?.type !== "word") {
+      throw new FilterError(`Expected a field name but found ${describe(token)}`, token?.position ?? end());
+    }
+    pos++;
+
+    const opToken = peek();
+    if (opToken?.type !== "op") {
+      throw new FilterError(`Expected an operator after "${token.text}" but found ${describe(opToken)}`, opToken?.position ?? end());
+    }
+    pos++;
+
+    const cond = { type: "cond", field: token.text, op: opToken.text === "==" ? "=" : opToken.text, position: token.position };
+    cond.value = parseValue(opToken);
+    if (cond.op === "between") {
+      if (peek()?.type !== "and") {
+        throw new FilterError(`Expected "and" in "between" but found ${describe(peek())}`, peek()?.position ?? end());
+      }
+      pos++;
+      cond.high = parseValue(opToken);
+    }
+    return cond;
+  }
+
+  function parseValue(opToken) {
+    const token = peek();
+    if (!token || !["word", "string", "regex"].includes(token.type)) {
+      throw new FilterError(`Expected a value after "${opToken.text}" but found ${describe(token)}`, token?.position ?? end());
+    }
+    pos++;
+    return token;
+  }
+
+  const tree = parseOr();
+  if (pos < tokens.length) {
+    throw new FilterError(`Unexpected ${describe(peek())} (join conditions with "and", "or" or ",")`, peek().position);
+  }
+  return tree;
+}
+
+function resolveField(fields, name, position) {
+  const lower = name.toLowerCase();
+  for (const [key, field] of Object.entries(fields)) {
+    if (key.toLowerCase() === lower || (field.aliases || []).some(a => a.toLowerCase() === lower)) return field;
+  }
+  throw new FilterError(`Unknown field "${name}" (try ${Object.keys(fields).join(", ")})`, position);
+}
+
+function numberValue(token, field) {
+  const n = Number(token.text);
+  if (token.type === "regex" || token.text === "" || !Number.isFinite(n)) {
+    throw new FilterError(`"${field}" needs a number, not "${token.text}"`, token.position);
+  }
+  return n;
+}
+
+function dateValue(token, field) {
+  if (token.type === "regex" || !DATE_RE.test(token.text)) {
+    throw new FilterError(`"${field}" needs a date like 2025-12-19, not "${token.text}"`, token.position);
+  }
+  return token.text;
+}
+
+function regexValue(token) {
+  try {
+    // g and y make test() resume from lastIndex, so later rows could miss
+    return token.type === "regex" ? new RegExp(token.text, token.flags.replace(/[gy]/g, "")) : new RegExp(token.text, "i");
+  } catch (err) {
+    throw new FilterError(`Invalid regex: ${err.message}`, token.position);
+  }
+}
+
+const compare = {
+  "=": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b
+};
+
+function compileCondition(cond, fields) {
+  const field = resolveField(fields, cond.field, cond.position);
+  const { op } = cond;
+  const get = field.get;
+
+  if (op === "matches") {
+    if (field.type === "number") throw new FilterError(`"${cond.field}" is a number; "~" only works on text`, cond.position);
+    const re = regexValue(cond.value);
+    return row => re.test(String(get(row) ?? ""));
+  }
+
+  if (op === "contains") {
+    if (field.type === "number") throw new FilterError(`"${cond.field}" is a number; "contains" only works on text`, cond.position);
+    if (cond.value.type === "regex") throw new FilterError(`Use "~" to match a regex`, cond.value.position);
+    const needle = cond.value.text.toLowerCase();
+    return row => String(get(row) ?? "").toLowerCase().includes(needle);
+  }
+
+  if (field.type === "number") {
+    const low = numberValue(cond.value, cond.field);
+    if (op === "between") {
+      const high = numberValue(cond.high, cond.field);
+      return row => {
+        const v = get(row);
+        return typeof v === "number" && v >= low && v <= high;
+      };
+    }
+    return row => {
+      const v = get(row);
+      return typeof v === "number" && compare[op](v, low);
+    };
+  }
+
+  if (field.type === "date") {
+    // Compare only as much of the row's timestamp as the value gives, so
+    // "lastActive = 2025-12-19" matches any time that day
+    const low = dateValue(cond.value, cond.field);
+    const cut = (v, n) => (v ? String(v).slice(0, n) : null);
+    if (op === "between") {
+      const high = dateValue(cond.high, cond.field);
+      return row => {
+        const v = get(row);
+        return v != null && cut(v, low.length) >= low && cut(v, high.length) <= high;
+      };
+    }
+    return row => {
+      const v = cut(get(row), low.length);
+      return v != null && compare[op](v, low);
+    };
+  }
+
+  if (cond.value.type === "regex") throw new FilterError(`Use "~" to match a regex`, cond.value.position);
+  if (!COMPARISON_OPS.has(op) && op !== "between") throw new FilterError(`Unsupported operator "${op}"`, cond.position);
+  const low = cond.value.text.toLowerCase();
+  if (op === "between") {
+    const high = cond.high.text.toLowerCase();
+    return row => {
+      const v = String(get(row) ?? "").toLowerCase();
+      return v >= low && v <= high;
+    };
+  }
+  return row => compare[op](String(get(row) ?? "").toLowerCase(), low);
+}
+
+function compileNode(node, fields) {
+  switch (node.type) {
+    case "or": {
+      const items = node.items.map(item => compileNode(item, fields));
+      return row => items.some(test => test(row));
+    }
+    case "and": {
+      const items = node.items.map(item => compileNode(item, fields));
+      return row => items.every(test => test(row));
+    }
+    case "not": {
+      const item = compileNode(node.item, fields);
+      return row => !item(row);
+    }
+    default:
+      return compileCondition(node, fields);
+  }
+}
+
+/**
+ * Collect the canonical names of the fields an expression tree refers to
+ */
+export function filterFieldsUsed(tree, fields) {
+  const used = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === "cond") {
+      const lower = node.field.toLowerCase();
+      const match = Object.entries(fields)
+        .find(([key, f]) => key.toLowerCase() === lower || (f.aliases || []).some(a => a.toLowerCase() === lower));
+      if (match) used.add(match[0]);
+    }
+    (node.items || []).forEach(walk);
+    walk(node.item);
+  };
+  walk(tree);
+  return used;
+}
+
+/**
+ * Parse and compile an expression into a row predicate, or null when empty.
+ * Throws FilterError (with a character position) on any syntax or field error.
+ */
+export function compileFilter(input, fields) {
+  const tree = parseFilter(input);
+  return tree ? compileNode(tree, fields) : null;
+}
@@ -0,0 +1,278 @@
+// Turns the raw MyVMK API responses into the dataset the dashboard renders.
+// Runs inside docs/live-worker.mjs so a live refresh doesn't block the page,
+// and on the main thread when workers aren't available.
+
+import { detectBattles, parseEventTime, roomNameFor } from "./battles.mjs";
+import { CsvError, HITS_COLUMNS, HITS_REQUIRED, TEAMS_COLUMNS, readCSVRecords, reportCSVError } from "./csv.mjs";
+import { buildTeamRoster, createTeamResolver } from "./teams.mjs";
+
+// How many hit lines to parse between progress reports
+const PROGRESS_EVERY = 20000;
+
+/**
+ * Sum adjusted point values per attacker team.
+ */
+export function computeTeamAdjustedPoints(events) {
+  const totals = { Penguin: 0, Reindeer: 0, Unknown: 0 };
+  if (!Array.isArray(events)) return totals;
+
+  for (const evt of events) {
+    const value = Number(evt?.value);
+    if (!Number.isFinite(value)) continue;
+
+    const team = evt?.attackerTeam === "Penguin" || evt?.attackerTeam === "Reindeer"
+      ? evt.attackerTeam
+      : "Unknown";
+
+    totals[team] += value;
+  }
+
+  return totals;
+}
+
+/**
+ * Attacker -> victims hit, busiest attackers first.
+ */
+export function buildVictimBreakdown(events) {
+  const breakdown = {};
+
+  events.forEach(e => {
+    const attacker = e.attacker;
+    const victim = e.victim;
+    const team = e.attackerTeam;
+    if (!attacker || !victim) return;
+
+    if (!breakdown[attacker]) {
+      breakdown[attacker] = { team, victims: {}, total: 0 };
+    }
+    breakdown[attacker].victims[victim] = (breakdown[attacker].victims[victim] || 0) + 1;
+    breakdown[attacker].total++;
+  });
+
+  return Object.entries(breakdown)
+    .map(([attacker, data]) => ({
+      attacker,
+      team: data.team,
+      total: data.total,
+      victims: Object.entries(data.victims)
+        .map(([victim, count]) => ({ victim, count }))
+        .sort((a, b) => b.count - a.count)
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Victim -> attackers who hit them (the inverse of buildVictimBreakdown),
+ * most-hit victims first. teamOf(user) gives a victim's team.
+ */
+export function buildAttackerBreakdown(events, teamOf = () => null) {
+  const breakdown = {};
+
+  events.forEach(e => {
+    const attacker = e.attacker;
+    const victim = e.victim;
+    if (!attacker || !victim) return;
+
+    if (!breakdown[victim]) {
+      breakdown[victim] = { team: teamOf(victim) || "Unknown", attackers: {}, total: 0 };
+    }
+    breakdown[victim].attackers[attacker] = (breakdown[victim].attackers[attacker] || 0) + 1;
+    breakdown[victim].total++;
+  });
+
+  return Object.entries(breakdown)
+    .map(([victim, data]) => ({
+      victim,
+      team: data.team,
+      total: data.total,
+      attackers: Object.entries(data.attackers)
+        .map(([attacker, count]) => ({ attacker, count }))
+        .sort((a, b) => b.count - a.count)
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Hits per hour (0-23) and day of week (0 = Sunday), as matrix[hour][day].
+ * Times are already Eastern, so they're read as local time.
+ */
+export function buildHeatmapMatrix(events) {
+  const matrix = Array.from({ length: 24 }, () => new Array(7).fill(0));
+
+  for (const e of events) {
+    const [datePart, timePart] = String(e.time).split(" ");
+    if (!datePart || !timePart) continue;
+    const [year, month, day] = datePart.split("-").map(Number);
+    const [hour, minute, second] = timePart.split(":").map(Number);
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    if (isNaN(date.getTime())) continue;
+    matrix[date.getHours()][date.getDay()]++;
+  }
+
+  return matrix;
+}
+
+/**
+ * Parse the getsnowteams CSV into a roster (see buildTeamRoster) and a report
+ * of malformed rows.
+ */
+function parseTeams(teamsText, previousTeams) {
+  // No teams (e.g. a local hits file on its own) leaves only the previous roster's players
+  if (!teamsText?.trim()) return { roster: previousTeams, report: { errors: [], skipped: 0 } };
+
+  try {
+    const { records, errors, skipped } = readCSVRecords(teamsText, { columns: TEAMS_COLUMNS });
+    return { roster: buildTeamRoster(records, previousTeams), report: { errors, skipped } };
+  } catch (err) {
+    // An unreadable roster shouldn't cost the hits; fall back to the previous one
+    if (!(err instanceof CsvError)) throw err;
+    return { roster: previousTeams, report: { errors: [{ line: 1, message: err.message }], skipped: 0 } };
+  }
+}
+
+/**
+ * Build everything the dashboard needs from the gethits and getsnowteams CSVs.
+ * rooms maps room ids to names. previousTeams is the roster already loaded
+ * for this season, so players who have left it keep their team (see
+ * docs/lib/teams.mjs). onProgress(message) is called as each stage starts and
+ * periodically while parsing hits.
+ *
+ * Columns are found by header name. Rows that can't be read (wrong field
+ * count, bad time, missing names, non-numeric value) are skipped and listed
+ * in parseReport: { hits: { errors, skipped }, teams: { errors, skipped } }.
+ *
+ * Returns { summary, users, events, roomsSummary, teamData, battles,
+ *           victimBreakdown, attackerBreakdown, heatmap, parseReport }
+ */
+export function buildLiveDataset({ hitsText, teamsText, previousTeams = null, rooms = {}, generatedAt = new Date().toISOString(), onProgress = () => {} }) {
+  onProgress("Reading teams…");
+  const { roster, report: teamsReport } = parseTeams(teamsText, previousTeams);
+  const resolveTeam = createTeamResolver(roster);
+  const teams = new Map();
+  const teamOf = user => {
+    if (!teams.has(user)) teams.set(user, resolveTeam(user));
+    return teams.get(user);
+  };
+
+  onProgress("Reading hits…");
+  const { records: hitRecords, ...hitsReport } = readCSVRecords(hitsText, {
+    columns: HITS_COLUMNS,
+    required: HITS_REQUIRED
+  });
+  const events = [];
+  const userStats = {};
+  const roomStats = {};
+
+  onProgress(`Parsing ${hitRecords.length.toLocaleString()} hits…`);
+  hitRecords.forEach((record, i) => {
+    if (i > 0 && i % PROGRESS_EVERY === 0) {
+      onProgress(`Parsing hits… ${Math.round((i / hitRecords.length) * 100)}%`);
+    }
+
+    const { time, attacker, victim, room: roomId } = record;
+    // Same checks as the build's rejectReason
+    const value = Number(record.value || 0);
+    const problem = !parseEventTime(time) ? `bad time "${time}"`
+      : !attacker ? "missing attacker"
+      : !victim ? "missing victim"
+      : !Number.isFinite(value) ? `bad value "${record.value}"`
+      : null;
+    if (problem) {
+      reportCSVError(hitsReport, record.line, problem);
+      return;
+    }
+
+    const attackerTeam = teamOf(attacker).team;
+    const victimTeam = teamOf(victim).team;
+    const roomName = roomNameFor(rooms, roomId);
+
+    events.push({
+      time,
+      attacker,
+      victim,
+      attackerTeam,
+      victimTeam,
+      roomName,
+      value
+    });
+
+    if (!userStats[attacker]) {
+      userStats[attacker] = { attacks: 0, hitsTaken: 0, team: attackerTeam };
+    }
+    userStats[attacker].attacks++;
+
+    if (!userStats[victim]) {
+      userStats[victim] = { attacks: 0, hitsTaken: 0, team: victimTeam };
+    }
+    userStats[victim].hitsTaken++;
+
+    if (!roomStats[roomName]) {
+      roomStats[roomName] = { hitCount: 0, users: new Set() };
+    }
+    roomStats[roomName].hitCount++;
+    roomStats[roomName].users.add(attacker);
+  });
+
+  onProgress("Building users and rooms…");
+  const users = Object.entries(userStats).map(([user, stats]) => ({
+    user,
+    team: stats.team,
+    teamRule: teamOf(user).rule,
+    attacks: stats.attacks,
+    hitsTaken: stats.hitsTaken,
+    ratio: stats.hitsTaken > 0 ? stats.attacks / stats.hitsTaken : stats.attacks
+  })).sort((a, b) => b.attacks - a.attacks);
+  const usersByName = new Map(users.map(u => [u.user, u]));
+
+  const adjustedPointsByTeam = computeTeamAdjustedPoints(events);
+  const teamStats = {
+    Penguin: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Penguin || 0 },
+    Reindeer: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Reindeer || 0 },
+    Unknown: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: adjustedPointsByTeam.Unknown || 0 }
+  };
+  users.forEach(u => {
+    if (u.team === "Penguin" || u.team === "Reindeer") {
+      teamStats[u.team].users++;
+      teamStats[u.team].attacks += u.attacks;
+      teamStats[u.team].hitsTaken += u.hitsTaken;
+    }
+  });
+
+  const roomsSummary = Object.entries(roomStats)
+    .map(([roomName, stats]) => {
+      const roomUsers = Array.from(stats.users);
+      const avgRatio = roomUsers.reduce((sum, u) => sum + (usersByName.get(u)?.ratio || 1), 0) / (roomUsers.length || 1);
+
+      return {
+        roomName,
+        hitCount: stats.hitCount,
+        avgUserRatio: Math.round(avgRatio * 100) / 100,
+        activeUsers: roomUsers.length
+      };
+    })
+    .sort((a, b) => b.hitCount - a.hitCount);
+
+  const summary = {
+    generatedAt,
+    totalRows: events.length,
+    totalUsers: users.length,
+    teamStats,
+    scatterPoints: users.map(u => ({ user: u.user, team: u.team, attacks: u.attacks, hitsTaken: u.hitsTaken })),
+    topAttackers: [...users].sort((a, b) => b.attacks - a.attacks).slice(0, 10),
+    topVictims: [...users].sort((a, b) => b.hitsTaken - a.hitsTaken).slice(0, 10)
+  };
+
+  onProgress("Detecting battles…");
+  const battles = detectBattles(events);
+
+  onProgress("Building breakdowns…");
+  const victimBreakdown = buildVictimBreakdown(events);
+  const attackerBreakdown = buildAttackerBreakdown(events, user => usersByName.get(user)?.team);
+  const heatmap = buildHeatmapMatrix(events);
+
+  const teamData = roster || buildTeamRoster([]);
+
+  const parseReport = { hits: hitsReport, teams: teamsReport };
+
+  return { summary, users, events, roomsSummary, teamData, battles, victimBreakdown, attackerBreakdown, heatmap, parseReport };
+}
@@ -0,0 +1,107 @@
+// Team membership, resolved the same way by the build (scripts/build-data.mjs)
+// and the dashboard's live and local-file modes.
+//
+// The getsnowteams CSV lists current members as Username,Team with
+// 0 = Reindeer and 1 = Penguin. Each player gets the team of the first rule
+// that applies, and the rule's key is kept alongside it (TEAM_RULES):
+//
+//   roster        listed on the roster under exactly this name
+//   roster-case   listed under the same name with different capitalization
+//   unknown-code  listed, but with a team code other than 0 or 1 (Unknown)
+//   former        no longer listed; keeps the team they were last seen on
+//   unlisted      never seen on a roster this season (Unknown)
+
+export const TEAM_CODES = { 0: "Reindeer", 1: "Penguin" };
+
+export const TEAM_RULES = {
+  roster: "On the team roster",
+  "roster-case": "On the team roster with different capitalization",
+  "unknown-code": "On the team roster with an unrecognized team code",
+  former: "Left the team roster; last known team",
+  unlisted: "Not on the team roster"
+};
+
+const byName = (a, b) => a.toLowerCase().localeCompare(b.toLowerCase());
+
+/**
+ * Build the season's roster from getsnowteams records ({ username, team }).
+ * previous is the last roster built this season (teams.json), whose members
+ * carry over into `former` once they drop off the API's list.
+ *
+ * Returns the teams.json shape:
+ *   { totals: { Penguin, Reindeer }, rosters: { Penguin: [], Reindeer: [] },
+ *     former: { Penguin: [], Reindeer: [] }, unknownCodes: { user: code } }
+ */
+export function buildTeamRoster(records, previous = null) {
+  // Keyed by lowercase name so a repeated listing replaces the earlier one
+  const listed = new Map();
+  for (const { username, team } of records) {
+    const user = (username ?? "").trim();
+    if (user) listed.set(user.toLowerCase(), { user, code: (team ?? "").trim() });
+  }
+
+  const rosters = { Penguin: [], Reindeer: [] };
+  // No prototype, so a player named "__proto__" is just another key
+  const unknownCodes = Object.create(null);
+  for (const { user, code } of listed.values()) {
+    // Own properties only, so codes like "constructor" land in unknownCodes
+    const team = Object.hasOwn(TEAM_CODES, code) ? TEAM_CODES[code] : null;
+    if (team) rosters[team].push(user);
+    else unknownCodes[user] = code;
+  }
+
+  const former = { Penguin: [], Reindeer: [] };
+  const seen = new Set(listed.keys());
+  for (const group of [previous?.rosters, previous?.former]) {
+    for (const team of ["Penguin", "Reindeer"]) {
+      for (const user of group?.[team] || []) {
+        if (seen.has(user.toLowerCase())) continue;
+        seen.add(user.toLowerCase());
+        former[team].push(user);
+      }
+    }
+  }
+
+  for (const list of [rosters.Penguin, rosters.Reindeer, former.Penguin, former.Reindeer]) list.sort(byName);
+
+  return {
+    totals: { Penguin: rosters.Penguin.length, Reindeer: rosters.Reindeer.length },
+    rosters,
+    former,
+    unknownCodes
+  };
+}
+
+/**
+ * Returns resolve(user) -> { team, rule } for a roster from buildTeamRoster
+ * (older teams.json files without former/unknownCodes work too).
+ */
+export function createTeamResolver(roster) {
+  const exact = new Map();
+  const folded = new Map();
+  const formerTeams = new Map();
+
+  const add = (user, entry) => {
+    exact.set(user, entry);
+    const key = user.toLowerCase();
+    // Two listings that differ only in case on different teams can't be folded
+    const other = folded.get(key);
+    folded.set(key, other && other.team !== entry.team ? null : entry);
+  };
+  for (const team of ["Penguin", "Reindeer"]) {
+    for (const user of roster?.rosters?.[team] || []) add(user, { team });
+    for (const user of roster?.former?.[team] || []) formerTeams.set(user.toLowerCase(), team);
+  }
+  for (const user of Object.keys(roster?.unknownCodes || {})) add(user, { team: "Unknown", unknownCode: true });
+
+  return (user) => {
+    const name = (user ?? "").trim();
+    const listed = exact.get(name);
+    if (listed) return { team: listed.team, rule: listed.unknownCode ? "unknown-code" : "roster" };
+    const caseMatch = folded.get(name.toLowerCase());
+    if (caseMatch) return { team: caseMatch.team, rule: caseMatch.unknownCode ? "unknown-code" : "roster-case" };
+    const former = formerTeams.get(name.toLowerCase());
+    if (former) return { team: former, rule: "former" };
+    return { team: "Unknown", rule: "unlisted" };
+  };
+}
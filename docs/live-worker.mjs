@@ -0,0 +1,18 @@
+// Module worker that builds the live dataset off the main thread.
+// Receives { hitsText, teamsText, previousTeams, rooms, generatedAt } and posts back
+// { type: "progress", message }, then { type: "done", dataset } or
+// { type: "error", message }.
+
+import { buildLiveDataset } from "./lib/live-data.mjs";
+
+self.onmessage = ({ data }) => {
+  try {
+    const dataset = buildLiveDataset({
+      ...data,
+      onProgress: message => self.postMessage({ type: "progress", message })
+    });
+    self.postMessage({ type: "done", dataset });
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,127 @@
+// Snapshots the current dashboard data into a named season archive and
+// registers it in seasons.json, which drives the season picker on the site.
+//
+// Usage: node scripts/archive-season.mjs --id <id> [options]
+//   --label <text>    display name (default: the id)
+//   --start <date>    first day of the season, YYYY-MM-DD (default: first event day)
+//   --end <date>      last day of the season, YYYY-MM-DD (default: last event day)
+//   --data <dir>      data directory to snapshot (default: docs/data)
+//   --force           replace an existing archive with the same id
+//
+// e.g. npm run archive:season -- --id winter-2025 --label "Winter 2025"
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DATA_DIR = "docs/data";
+const SEASONS_FILE = "seasons.json";
+const ARCHIVE_DIR = "archive";
+
+// Shared by every season, so never copied into an archive
+const SHARED_ENTRIES = new Set([ARCHIVE_DIR, SEASONS_FILE, "rooms.json"]);
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/i;
+
+/**
+ * Read the seasons manifest, or an empty one if it doesn't exist yet.
+ */
+export function loadSeasons(dataDir) {
+  const p = path.join(dataDir, SEASONS_FILE);
+  if (!fs.existsSync(p)) return { seasons: [] };
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function writeSeasons(dataDir, manifest) {
+  // Newest first, which is the order the season picker shows them in
+  manifest.seasons.sort((a, b) => (b.end || "").localeCompare(a.end || ""));
+  fs.writeFileSync(path.join(dataDir, SEASONS_FILE), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * First and last event day of a dataset, from its event index.
+ */
+function inferDateRange(dir) {
+  const indexPath = path.join(dir, "events", "index.json");
+  if (fs.existsSync(indexPath)) {
+    const { days = [] } = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    if (days.length) return { start: days[0].date, end: days[days.length - 1].date };
+  }
+
+  return { start: null, end: null };
+}
+
+/**
+ * Copy every season-specific file in dataDir into archive/<id> and add
+ * (or replace) its entry in seasons.json. Returns the manifest entry.
+ */
+export function archiveSeason({
+  dataDir = DEFAULT_DATA_DIR, id, label, start, end, force = false, archivedAt = new Date().toISOString()
+}) {
+  if (!id || !ID_RE.test(id)) {
+    throw new Error(`Invalid season id "${id}" (use letters, digits and dashes)`);
+  }
+  for (const [name, value] of [["start", start], ["end", end]]) {
+    if (value && !DATE_RE.test(value)) throw new Error(`Invalid --${name} date "${value}" (expected YYYY-MM-DD)`);
+  }
+
+  const relPath = `${ARCHIVE_DIR}/${id}`;
+  const target = path.join(dataDir, relPath);
+  if (fs.existsSync(target)) {
+    if (!force) throw new Error(`Archive ${target} already exists (use --force to replace it)`);
+    fs.rmSync(target, { recursive: true });
+  }
+  fs.mkdirSync(target, { recursive: true });
+
+  for (const entry of fs.readdirSync(dataDir)) {
+    if (SHARED_ENTRIES.has(entry)) continue;
+    fs.cpSync(path.join(dataDir, entry), path.join(target, entry), { recursive: true });
+  }
+
+  const range = inferDateRange(target);
+  const season = {
+    id,
+    label: label || id,
+    path: relPath,
+    start: start || range.start,
+    end: end || range.end,
+    archivedAt
+  };
+
+  const manifest = loadSeasons(dataDir);
+  manifest.seasons = manifest.seasons.filter(s => s.id !== id);
+  manifest.seasons.push(season);
+  writeSeasons(dataDir, manifest);
+
+  return season;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      id: { type: "string" },
+      label: { type: "string" },
+      start: { type: "string" },
+      end: { type: "string" },
+      data: { type: "string" },
+      force: { type: "boolean" }
+    }
+  });
+
+  const dataDir = path.resolve(process.cwd(), values.data || DEFAULT_DATA_DIR);
+  const season = archiveSeason({ ...values, dataDir });
+
+  console.log(`Archived season "${season.label}" to ${path.join(dataDir, season.path)}`);
+  console.log(`  ${season.start || "?"} to ${season.end || "?"}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
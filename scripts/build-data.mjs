@@ -1,58 +1,111 @@
+// Builds the static dashboard data from the MyVMK gethits/getsnowteams APIs.
+//
+// Usage: node scripts/build-data.mjs [options]
+//   --hits <file|url>       gethits CSV to read instead of the live API
+//   --teams <file|url>      getsnowteams CSV to read instead of the live API
+//   --out <dir>             output directory (default: docs/data)
+//   --history <file>        hit history store (default: data/history/hits.json)
+//   --generated-at <iso>    fixed generatedAt timestamp, for reproducible output
+//   --reset                 archive the current season and start a new one
+//   --no-reset-check        don't auto-detect a season reset
+//
+// e.g. rebuild from a captured dump:
+//   node scripts/build-data.mjs --hits dump/gethits.csv --teams snowflake_teams.csv --out /tmp/data --history /tmp/hits.json
+
+import crypto from "crypto";
 import fs from "fs";
 import path from "path";
+import { parseArgs } from "util";
+import { archiveSeason, loadSeasons } from "./archive-season.mjs";
+import {
+  BATTLE_TEAMS, BATTLE_TIE, battleRecord, detectBattles, parseEventTime, roomNameFor, safeRatio
+} from "../docs/lib/battles.mjs";
+import { CsvError, HITS_COLUMNS, HITS_REQUIRED, TEAMS_COLUMNS, readCSVRecords } from "../docs/lib/csv.mjs";
+import { buildTeamRoster, createTeamResolver } from "../docs/lib/teams.mjs";
 
 const HITS_URL = "https://www.myvmk.com/api/gethits";
 const TEAMS_URL = "https://www.myvmk.com/api/getsnowteams";
 
-const BATTLE_MIN_HITS = 30;
-const BATTLE_MAX_GAP_SECONDS = 120;
+const DEFAULT_OUT_DIR = "docs/data";
+
+// Durable, append-only store of every hit seen so far this season. It repeats
+// every event in the day shards, so it lives outside the published docs/.
+const DEFAULT_HISTORY_FILE = "data/history/hits.json";
+
+// Day-sharded events for the frontend, relative to the output directory.
+const EVENTS_DIR = "events";
+const EVENTS_INDEX_FILE = "events/index.json";
+const EVENT_SHARD_VERSION = 1;
+
+// One small profile per user plus a name index, relative to the output directory.
+const USERS_DIR = "users";
+const USERS_INDEX_FILE = "users/index.json";
+const USER_PROFILE_VERSION = 1;
+const USER_PROFILE_TOP_N = 10;
+
+// Season reset detection: once the stored season has at least
+// RESET_MIN_PREVIOUS_ROWS hits, a fetch that shares no rows with it, shrank
+// below RESET_DROP_RATIO of the previous fetch, and whose earliest hit moved
+// forward by more than RESET_EARLIEST_JUMP_HOURS to after the last stored hit
+// means the API was reset. gethits is a rolling window, so a quiet spell or
+// missed runs can trip any one signal on its own; all of them must hold.
+const RESET_MIN_PREVIOUS_ROWS = 100;
+const RESET_DROP_RATIO = 0.5;
+const RESET_EARLIEST_JUMP_HOURS = 24;
 
 function loadJSON(relPath, fallback = {}) {
-  const p = path.join(process.cwd(), relPath);
+  const p = path.resolve(process.cwd(), relPath);
   if (!fs.existsSync(p)) return fallback;
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
 
-// Basic CSV parser that handles quoted fields.
-function parseCSV(text) {
-  const rows = [];
-  let row = [];
-  let cur = "";
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i++) {
-    const ch = text[i];
-    const next = text[i + 1];
-
-    if (ch === '"' && inQuotes && next === '"') {
-      cur += '"';
-      i++;
-      continue;
-    }
-    if (ch === '"') {
-      inQuotes = !inQuotes;
-      continue;
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      hits: { type: "string" },
+      teams: { type: "string" },
+      out: { type: "string" },
+      history: { type: "string" },
+      "generated-at": { type: "string" },
+      reset: { type: "boolean" },
+      "no-reset-check": { type: "boolean" }
     }
-    if (ch === "," && !inQuotes) {
-      row.push(cur);
-      cur = "";
-      continue;
-    }
-    if ((ch === "\n" || ch === "\r") && !inQuotes) {
-      if (ch === "\r" && next === "\n") i++;
-      row.push(cur);
-      cur = "";
-      if (row.length > 1 || (row.length === 1 && row[0] !== "")) rows.push(row);
-      row = [];
-      continue;
-    }
-    cur += ch;
+  });
+
+  const generatedAt = values["generated-at"];
+  if (generatedAt && Number.isNaN(new Date(generatedAt).getTime())) {
+    throw new Error(`Invalid --generated-at value: ${generatedAt}`);
   }
-  if (cur.length || row.length) {
-    row.push(cur);
-    rows.push(row);
+
+  return {
+    hitsSource: values.hits || HITS_URL,
+    teamsSource: values.teams || TEAMS_URL,
+    outDir: path.resolve(process.cwd(), values.out || DEFAULT_OUT_DIR),
+    historyPath: path.resolve(process.cwd(), values.history || DEFAULT_HISTORY_FILE),
+    generatedAt: generatedAt ? new Date(generatedAt).toISOString() : new Date().toISOString(),
+    forceReset: Boolean(values.reset),
+    resetCheck: !values["no-reset-check"]
+  };
+}
+
+function isURL(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+/**
+ * Read a CSV source, either a URL or a local file path.
+ * Returns { ok, status, text } so callers can treat both the same way.
+ */
+async function readSource(source) {
+  if (!isURL(source)) {
+    const p = path.resolve(process.cwd(), source);
+    if (!fs.existsSync(p)) throw new Error(`Input file not found: ${p}`);
+    return { ok: true, status: 200, text: fs.readFileSync(p, "utf8") };
   }
-  return rows;
+
+  const res = await fetch(source);
+  return { ok: res.ok, status: res.status, text: res.ok ? await res.text() : "" };
 }
 
 function normUser(u) {
@@ -63,178 +116,455 @@ function normRoomId(r) {
   return (r ?? "").toString().trim();
 }
 
-function safeRatio(attacks, hitsTaken) {
-  if (!hitsTaken) return attacks ? attacks / 1 : 0;
-  return attacks / hitsTaken;
+/**
+ * Normalize a gethits CSV record (see HITS_COLUMNS) into the shape kept in the history store.
+ */
+function toHistoryRow(r) {
+  return {
+    time: (r.time ?? "").toString().trim(),
+    attacker: normUser(r.attacker),
+    victim: normUser(r.victim),
+    roomId: normRoomId(r.room),
+    value: Number(r.value || 0)
+  };
+}
+
+/**
+ * Log rows readCSVRecords couldn't read, with the first few line numbers.
+ */
+function warnMalformedRows(label, { errors, skipped }) {
+  if (!skipped) return;
+  console.warn(`Warning: skipped ${skipped} malformed ${label} CSV row(s)`);
+  for (const { line, message } of errors) console.warn(`  line ${line}: ${message}`);
+  if (skipped > errors.length) console.warn(`  ...and ${skipped - errors.length} more`);
 }
 
-function parseEventTime(str) {
-  if (!str) return null;
-  const [datePart, timePart] = str.split(" ");
-  if (!datePart || !timePart) return null;
-  const [year, month, day] = datePart.split("-").map(Number);
-  const [hour, minute, second] = timePart.split(":").map(Number);
-  if ([year, month, day, hour, minute, second].some(v => Number.isNaN(v))) return null;
-  return new Date(year, month - 1, day, hour, minute, second);
+/**
+ * Returns a reason string when a row can't be stored, or null when it's fine.
+ */
+function rejectReason(row) {
+  if (!parseEventTime(row.time)) return "bad time";
+  if (!row.attacker) return "missing attacker";
+  if (!row.victim) return "missing victim";
+  if (!Number.isFinite(row.value)) return "bad value";
+  return null;
 }
 
-function detectBattles(events) {
-  const byRoom = new Map();
-  for (const evt of events) {
-    const room = evt.roomName || evt.roomId || "Unknown";
-    if (!byRoom.has(room)) byRoom.set(room, []);
-    byRoom.get(room).push(evt);
+function historyKey(row) {
+  return [row.time, row.attacker, row.victim, row.roomId, row.value].join("\u0001");
+}
+
+/**
+ * Merge freshly fetched rows into the stored history.
+ * Rows are compared as a multiset: the API window overlaps what we already
+ * have, and two identical throws within the same second are legitimately
+ * repeated, so a fetched row only counts as new once it occurs more often in
+ * the batch than it does in the history.
+ */
+function mergeHistory(history, fetchedRows) {
+  const stored = new Map();
+  for (const row of history) {
+    const key = historyKey(row);
+    stored.set(key, (stored.get(key) || 0) + 1);
   }
 
-  const battles = [];
-  for (const [roomName, roomEvents] of byRoom.entries()) {
-    const sorted = [...roomEvents]
-      .map(e => ({ ...e, __t: parseEventTime(e.time) }))
-      .filter(e => e.__t)
-      .sort((a, b) => a.__t - b.__t);
-
-    if (!sorted.length) continue;
-
-    let cluster = [];
-    let prevTime = null;
-    let roomCounter = 1;
-
-    const flushCluster = () => {
-      if (!cluster.length) return;
-      const hitCount = cluster.length;
-      if (hitCount < BATTLE_MIN_HITS) {
-        cluster = [];
-        return;
-      }
+  const seenInBatch = new Map();
+  const merged = [...history];
+  const rejectedReasons = new Map();
+  let added = 0;
+  let duplicates = 0;
+  let rejected = 0;
+  let earliest = null;
+  let latest = null;
+
+  for (const row of fetchedRows) {
+    const reason = rejectReason(row);
+    if (reason) {
+      rejected++;
+      rejectedReasons.set(reason, (rejectedReasons.get(reason) || 0) + 1);
+      continue;
+    }
 
-      const start = cluster[0].__t;
-      const end = cluster[cluster.length - 1].__t;
-      const durationMinutes = Math.max(1, Math.round((end - start) / 60000));
-
-      const byUser = new Map();
-      const userSet = new Set();
-
-      for (const evt of cluster) {
-        if (evt.attacker) {
-          userSet.add(evt.attacker);
-          const stats = byUser.get(evt.attacker) || { user: evt.attacker, team: evt.attackerTeam || "Unknown", attacks: 0, hitsTaken: 0 };
-          stats.attacks++;
-          byUser.set(evt.attacker, stats);
-        }
-        if (evt.victim) {
-          userSet.add(evt.victim);
-          const stats = byUser.get(evt.victim) || { user: evt.victim, team: evt.victimTeam || "Unknown", attacks: 0, hitsTaken: 0 };
-          stats.hitsTaken++;
-          byUser.set(evt.victim, stats);
-        }
-      }
+    if (!earliest || row.time < earliest) earliest = row.time;
+    if (!latest || row.time > latest) latest = row.time;
 
-      const participants = [...byUser.values()].map(s => ({
-        ...s,
-        ratio: safeRatio(s.attacks, s.hitsTaken)
-      })).sort((a, b) => (b.attacks + b.hitsTaken) - (a.attacks + a.hitsTaken));
-
-      const topAttackers = [...participants]
-        .filter(p => p.attacks > 0)
-        .sort((a, b) => b.attacks - a.attacks)
-        .slice(0, 3)
-        .map(p => ({ user: p.user, team: p.team, attacks: p.attacks }));
-
-      const topVictims = [...participants]
-        .filter(p => p.hitsTaken > 0)
-        .sort((a, b) => b.hitsTaken - a.hitsTaken)
-        .slice(0, 3)
-        .map(p => ({ user: p.user, team: p.team, hitsTaken: p.hitsTaken }));
-
-      battles.push({
-        id: `${roomName}-${roomCounter++}`,
-        roomName,
-        start: start.toISOString(),
-        end: end.toISOString(),
-        durationMinutes,
-        hitCount,
-        uniqueUsers: userSet.size,
-        topAttackers,
-        topVictims,
-        participants
-      });
+    const key = historyKey(row);
+    const count = (seenInBatch.get(key) || 0) + 1;
+    seenInBatch.set(key, count);
 
-      cluster = [];
-    };
+    if (count <= (stored.get(key) || 0)) {
+      duplicates++;
+      continue;
+    }
+    merged.push(row);
+    added++;
+  }
 
-    for (const evt of sorted) {
-      if (!prevTime) {
-        cluster.push(evt);
-        prevTime = evt.__t;
-        continue;
-      }
+  // "YYYY-MM-DD HH:MM:SS" sorts chronologically as a string; sort is stable.
+  merged.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
 
-      const gapSeconds = (evt.__t - prevTime) / 1000;
-      if (gapSeconds <= BATTLE_MAX_GAP_SECONDS) {
-        cluster.push(evt);
-      } else {
-        flushCluster();
-        cluster = [evt];
-      }
-      prevTime = evt.__t;
+  return { rows: merged, added, duplicates, rejected, rejectedReasons, earliest, latest };
+}
+
+/**
+ * Decide whether this fetch belongs to a new season.
+ * `previous` is the ingest block of the last summary.json. Returns a list of
+ * human readable reasons, empty when no reset was detected. When only some
+ * of the signals hold, says so in the log and keeps the season.
+ */
+function detectReset(history, ingest, previous) {
+  if (history.length < RESET_MIN_PREVIOUS_ROWS || !previous) return [];
+
+  // Any overlap with what we already stored means it's the same season
+  const accepted = ingest.added + ingest.duplicates;
+  if (!accepted || ingest.duplicates > 0) return [];
+
+  const signals = [];
+  const missing = [];
+  const check = (holds, reason, otherwise) => (holds ? signals : missing).push(holds ? reason : otherwise);
+
+  const previousAccepted = (previous.fetchedRows || 0) - (previous.rejectedRows || 0);
+  check(
+    previousAccepted && accepted < previousAccepted * RESET_DROP_RATIO,
+    `API returned ${accepted} rows, down from ${previousAccepted}`,
+    `row count didn't drop (${accepted} vs ${previousAccepted})`
+  );
+
+  const prevEarliest = parseEventTime(previous.earliestFetched);
+  const earliest = parseEventTime(ingest.earliest);
+  check(
+    prevEarliest && earliest && earliest - prevEarliest > RESET_EARLIEST_JUMP_HOURS * 3600000,
+    `earliest hit moved from ${previous.earliestFetched} to ${ingest.earliest}`,
+    `earliest hit didn't jump ahead (${previous.earliestFetched} to ${ingest.earliest})`
+  );
+
+  // Times sort as strings; history is kept sorted
+  const storedLatest = history[history.length - 1].time;
+  check(
+    ingest.earliest > storedLatest,
+    `every fetched hit is after the last stored one (${storedLatest})`,
+    `fetched hits overlap the stored season (last stored ${storedLatest})`
+  );
+
+  if (missing.length) {
+    if (signals.length) console.log(`No season reset: ${signals.join("; ")}, but ${missing.join("; ")}`);
+    return [];
+  }
+  return signals;
+}
+
+/**
+ * Archive the season currently in outDir under a unique id derived from its
+ * last day, so the new season can be written over it.
+ */
+function archivePreviousSeason(outDir, history, archivedAt) {
+  const start = history[0].time.split(" ")[0];
+  const end = history[history.length - 1].time.split(" ")[0];
+
+  const taken = new Set(loadSeasons(outDir).seasons.map(s => s.id));
+  let id = `season-${end}`;
+  for (let n = 2; taken.has(id); n++) id = `season-${end}-${n}`;
+
+  return archiveSeason({ dataDir: outDir, id, label: `Season ${start} to ${end}`, start, end, archivedAt });
+}
+
+/**
+ * Write the history one row per line so hourly commits diff as appends.
+ */
+function writeHistory(filePath, rows) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const body = rows.map(r => JSON.stringify(r)).join(",\n");
+  fs.writeFileSync(filePath, rows.length ? `[\n${body}\n]\n` : "[]\n");
+}
+
+/**
+ * Encode one day of events in columnar form.
+ * Users and rooms are stored once per shard in string tables and the
+ * attacker/victim/room columns hold indexes into them. Times are seconds
+ * since midnight of `date`.
+ */
+function encodeEventShard(date, dayEvents) {
+  const userIdx = new Map();
+  const roomIdx = new Map();
+  const shard = {
+    version: EVENT_SHARD_VERSION,
+    date,
+    count: dayEvents.length,
+    users: [],
+    userTeams: [],
+    roomIds: [],
+    roomNames: [],
+    time: [],
+    attacker: [],
+    victim: [],
+    room: [],
+    value: []
+  };
+
+  const user = (name, team) => {
+    if (!userIdx.has(name)) {
+      userIdx.set(name, shard.users.length);
+      shard.users.push(name);
+      shard.userTeams.push(team || "Unknown");
+    }
+    return userIdx.get(name);
+  };
+
+  for (const e of dayEvents) {
+    const [hour, minute, second] = e.time.split(" ")[1].split(":").map(Number);
+    const roomKey = `${e.roomId}\u0001${e.roomName}`;
+    if (!roomIdx.has(roomKey)) {
+      roomIdx.set(roomKey, shard.roomIds.length);
+      shard.roomIds.push(e.roomId);
+      shard.roomNames.push(e.roomName);
     }
 
-    flushCluster();
+    shard.time.push(hour * 3600 + minute * 60 + second);
+    shard.attacker.push(user(e.attacker, e.attackerTeam));
+    shard.victim.push(user(e.victim, e.victimTeam));
+    shard.room.push(roomIdx.get(roomKey));
+    shard.value.push(e.value);
   }
 
-  return battles.sort((a, b) => b.hitCount - a.hitCount || new Date(b.start) - new Date(a.start));
+  return shard;
 }
 
 /**
- * Fetch team assignments from the official API.
- * CSV format: Username,Team (0=Reindeer, 1=Penguin)
+ * Write events as one compact shard per day plus an index manifest.
+ * Shards for days that no longer exist are removed.
  */
-async function fetchTeamsFromAPI() {
-  console.log("Fetching teams from", TEAMS_URL);
+function writeEventShards(outDir, events, generatedAt) {
+  const dir = path.join(outDir, EVENTS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
 
-  const res = await fetch(TEAMS_URL);
-  if (!res.ok) {
-    console.warn(`Warning: Could not fetch teams API (HTTP ${res.status}), will use fallback`);
-    return null;
+  const byDay = new Map();
+  for (const e of events) {
+    const date = e.time.split(" ")[0];
+    if (!byDay.has(date)) byDay.set(date, []);
+    byDay.get(date).push(e);
   }
 
-  const csvText = await res.text();
-  const parsed = parseCSV(csvText);
+  const days = [];
+  for (const date of [...byDay.keys()].sort()) {
+    const file = `${date}.json`;
+    const shard = encodeEventShard(date, byDay.get(date));
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(shard));
+    days.push({ date, file, count: shard.count });
+  }
 
-  if (parsed.length < 2) {
-    console.warn("Warning: Teams API returned no data");
-    return null;
+  const keep = new Set([...days.map(d => d.file), path.basename(EVENTS_INDEX_FILE)]);
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith(".json") && !keep.has(file)) fs.rmSync(path.join(dir, file));
   }
 
-  const headers = parsed[0];
-  const dataRows = parsed.slice(1);
+  const index = {
+    version: EVENT_SHARD_VERSION,
+    generatedAt,
+    totalRows: events.length,
+    days
+  };
+  fs.writeFileSync(path.join(outDir, EVENTS_INDEX_FILE), JSON.stringify(index, null, 2));
+  return days;
+}
 
-  // Find column indices
-  const usernameIdx = headers.findIndex(h => h.toLowerCase() === "username");
-  const teamIdx = headers.findIndex(h => h.toLowerCase() === "team");
+/**
+ * Profile file name for a user: a readable slug plus a hash of the exact
+ * name, so names that differ only in case or punctuation never share a file
+ * (even on case-insensitive filesystems).
+ */
+function userProfileFile(user) {
+  const slug = user.toLowerCase().replace(/[^a-z0-9_-]+/g, "_").slice(0, 40) || "user";
+  const hash = crypto.createHash("sha1").update(user).digest("hex").slice(0, 8);
+  return `${slug}-${hash}.json`;
+}
 
-  if (usernameIdx === -1 || teamIdx === -1) {
-    console.warn("Warning: Teams API CSV missing expected columns");
-    return null;
+/**
+ * Per-user totals, daily and hour-of-day series, room split, top opponents
+ * and battles. `users` is the users.json list; ranks are among all of them.
+ * A battle's outcome is from the user's side ("win", "loss" or "tie"), null
+ * when they weren't on a scoring team.
+ */
+function buildUserProfiles(events, users, battles) {
+  const profiles = new Map();
+  for (const u of users) {
+    profiles.set(u.user, {
+      version: USER_PROFILE_VERSION,
+      user: u.user,
+      team: u.team,
+      totals: { attacks: u.attacks, hitsTaken: u.hitsTaken, ratio: u.ratio, adjustedPoints: 0 },
+      daily: new Map(),
+      hours: Array.from({ length: 24 }, (_, hour) => ({ hour, attacks: 0, hitsTaken: 0 })),
+      rooms: new Map(),
+      victims: new Map(),
+      attackers: new Map(),
+      battles: []
+    });
   }
 
-  const teamMap = {};
-  for (const row of dataRows) {
-    const username = normUser(row[usernameIdx]);
-    const teamValue = row[teamIdx]?.trim();
+  const day = (p, date) => {
+    if (!p.daily.has(date)) p.daily.set(date, { date, attacks: 0, hitsTaken: 0, adjustedPoints: 0 });
+    return p.daily.get(date);
+  };
+  const room = (p, roomName) => {
+    if (!p.rooms.has(roomName)) p.rooms.set(roomName, { roomName, attacks: 0, hitsTaken: 0 });
+    return p.rooms.get(roomName);
+  };
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
 
-    if (!username) continue;
+  for (const e of events) {
+    const [date, time] = e.time.split(" ");
+    const hour = parseInt(time, 10);
+    const value = Number.isFinite(e.value) ? e.value : 0;
+    const attacker = profiles.get(e.attacker);
+    const victim = profiles.get(e.victim);
+    if (attacker) {
+      attacker.totals.adjustedPoints += value;
+      day(attacker, date).attacks++;
+      day(attacker, date).adjustedPoints += value;
+      if (attacker.hours[hour]) attacker.hours[hour].attacks++;
+      room(attacker, e.roomName).attacks++;
+      bump(attacker.victims, e.victim);
+    }
+    if (victim) {
+      day(victim, date).hitsTaken++;
+      if (victim.hours[hour]) victim.hours[hour].hitsTaken++;
+      room(victim, e.roomName).hitsTaken++;
+      bump(victim.attackers, e.attacker);
+    }
+  }
 
-    // 0 = Reindeer, 1 = Penguin
-    if (teamValue === "0") {
-      teamMap[username] = "Reindeer";
-    } else if (teamValue === "1") {
-      teamMap[username] = "Penguin";
+  const outcomeFor = (b, team) => {
+    if (b.winner === BATTLE_TIE) return "tie";
+    if (!BATTLE_TEAMS.includes(team)) return null;
+    return b.winner === team ? "win" : "loss";
+  };
+
+  for (const b of battles) {
+    for (const participant of b.participants) {
+      profiles.get(participant.user)?.battles.push({
+        id: b.id,
+        roomName: b.roomName,
+        start: b.start,
+        end: b.end,
+        startTime: b.startTime,
+        endTime: b.endTime,
+        hitCount: b.hitCount,
+        team: participant.team,
+        attacks: participant.attacks,
+        hitsTaken: participant.hitsTaken,
+        points: participant.points,
+        winner: b.winner,
+        margin: b.margin,
+        decidedBy: b.decidedBy,
+        outcome: outcomeFor(b, participant.team)
+      });
     }
   }
 
-  console.log(`Loaded ${Object.keys(teamMap).length} team assignments from API`);
-  return teamMap;
+  // Rank = 1 + number of users strictly ahead; percentile = share strictly behind
+  const rankOf = (values) => {
+    const sorted = [...values].sort((a, b) => b - a);
+    const firstIndex = new Map();
+    sorted.forEach((v, i) => { if (!firstIndex.has(v)) firstIndex.set(v, i); });
+    return (v) => ({ rank: firstIndex.get(v) + 1, behind: sorted.length - sorted.lastIndexOf(v) - 1 });
+  };
+  const all = [...profiles.values()];
+  const attacksRank = rankOf(all.map(p => p.totals.attacks));
+  const pointsRank = rankOf(all.map(p => p.totals.adjustedPoints));
+
+  const topOf = (map) => [...map.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, USER_PROFILE_TOP_N)
+    .map(([user, count]) => ({ user, count }));
+
+  return all.map(p => {
+    const attacks = attacksRank(p.totals.attacks);
+    return {
+      version: p.version,
+      user: p.user,
+      team: p.team,
+      totals: {
+        ...p.totals,
+        attacksRank: attacks.rank,
+        adjustedPointsRank: pointsRank(p.totals.adjustedPoints).rank,
+        percentile: all.length ? Math.round((attacks.behind / all.length) * 1000) / 10 : 0
+      },
+      daily: [...p.daily.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      hours: p.hours,
+      rooms: [...p.rooms.values()].sort((a, b) => (b.attacks + b.hitsTaken) - (a.attacks + a.hitsTaken)),
+      topVictims: topOf(p.victims),
+      topAttackers: topOf(p.attackers),
+      battles: p.battles
+    };
+  });
+}
+
+/**
+ * Write one JSON file per user plus an index mapping exact names to files,
+ * and lowercase names to every exact name sharing them. Profiles of users
+ * no longer in the data are removed.
+ */
+function writeUserProfiles(outDir, profiles, generatedAt) {
+  const dir = path.join(outDir, USERS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const index = {
+    version: USER_PROFILE_VERSION,
+    generatedAt,
+    count: profiles.length,
+    users: {},
+    byLowerCase: {}
+  };
+
+  for (const profile of profiles) {
+    const file = userProfileFile(profile.user);
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(profile));
+    index.users[profile.user] = `${USERS_DIR}/${file}`;
+
+    const lower = profile.user.toLowerCase();
+    (index.byLowerCase[lower] ||= []).push(profile.user);
+  }
+
+  const keep = new Set([...Object.values(index.users).map(f => path.basename(f)), path.basename(USERS_INDEX_FILE)]);
+  for (const file of fs.readdirSync(dir)) {
+    if (file.endsWith(".json") && !keep.has(file)) fs.rmSync(path.join(dir, file));
+  }
+
+  fs.writeFileSync(path.join(outDir, USERS_INDEX_FILE), JSON.stringify(index));
+  return profiles.length;
+}
+
+/**
+ * Fetch team assignments from the official API (or a saved copy of it).
+ * CSV format: Username,Team (0=Reindeer, 1=Penguin). Returns the
+ * { username, team } records for buildTeamRoster, or null if unavailable.
+ */
+async function fetchTeams(source) {
+  console.log("Fetching teams from", source);
+
+  const res = await readSource(source);
+  if (!res.ok) {
+    console.warn(`Warning: Could not fetch teams API (HTTP ${res.status}), will use fallback`);
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = readCSVRecords(res.text, { columns: TEAMS_COLUMNS });
+  } catch (err) {
+    if (!(err instanceof CsvError)) throw err;
+    console.warn(`Warning: Teams API CSV unreadable: ${err.message}`);
+    return null;
+  }
+  warnMalformedRows("teams", parsed);
+
+  if (!parsed.records.length) {
+    console.warn("Warning: Teams API returned no data");
+    return null;
+  }
+
+  console.log(`Loaded ${parsed.records.length} team assignments from API`);
+  return parsed.records;
 }
 
 function topN(map, n, keyName, valName) {
@@ -264,50 +594,63 @@ function linearRegression(points) {
 }
 
 async function main() {
-  console.log("Fetching hits data from", HITS_URL);
+  const options = parseOptions(process.argv.slice(2));
+  const { outDir, historyPath } = options;
+
+  console.log("Fetching hits data from", options.hitsSource);
 
   const roomsMap = loadJSON("docs/data/rooms.json", {});
 
   // Fetch teams from API (authoritative source)
-  const apiTeams = await fetchTeamsFromAPI();
-
-  // Use API teams, or empty if API failed
-  const teamMap = apiTeams || {};
+  const teamRecords = await fetchTeams(options.teamsSource);
 
   console.log(`Loaded ${Object.keys(roomsMap).length} room mappings`);
 
-  const res = await fetch(HITS_URL);
+  const res = await readSource(options.hitsSource);
   if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  const csvText = await res.text();
-
-  const parsed = parseCSV(csvText);
-  const headers = parsed[0];
-  const dataRows = parsed.slice(1);
-
-  console.log(`Parsed ${dataRows.length} hit events`);
+  const csvText = res.text;
+
+  const parsed = readCSVRecords(csvText, { columns: HITS_COLUMNS, required: HITS_REQUIRED });
+
+  console.log(`Parsed ${parsed.records.length} hit events`);
+  warnMalformedRows("hits", parsed);
+
+  const fetchedRows = parsed.records.map(toHistoryRow);
+
+  // Merge into the durable history; everything below is derived from it
+  const history = loadJSON(historyPath, []);
+  let ingest = mergeHistory(history, fetchedRows);
+
+  // A reset starts a new season: archive the old one before anything is overwritten
+  const previousIngest = loadJSON(path.join(outDir, "summary.json"), {}).ingest;
+  const resetReasons = options.forceReset
+    ? ["--reset flag"]
+    : options.resetCheck ? detectReset(history, ingest, previousIngest) : [];
+
+  if (resetReasons.length && history.length) {
+    console.log(`Season reset detected: ${resetReasons.join("; ")}`);
+    const season = archivePreviousSeason(outDir, history, options.generatedAt);
+    // The archive only gets the published files; its history stays beside the live one
+    const archivedHistory = path.join(path.dirname(historyPath), `${season.id}.json`);
+    writeHistory(archivedHistory, history);
+    console.log(`Archived previous season (${history.length} rows) as "${season.id}", history in ${archivedHistory}`);
+    history.length = 0;
+    ingest = mergeHistory(history, fetchedRows);
+  }
 
-  const rawRows = dataRows.map(cols => {
-    const obj = {};
-    headers.forEach((h, idx) => (obj[h] = cols[idx] ?? ""));
-    return obj;
-  });
+  console.log(
+    `History: ${ingest.added} new, ${ingest.duplicates} duplicate, ${ingest.rejected} rejected ` +
+    `(${history.length} -> ${ingest.rows.length} stored rows)`
+  );
+  for (const [reason, count] of ingest.rejectedReasons) {
+    console.warn(`  Rejected ${count} row(s): ${reason}`);
+  }
 
   // Convert to base events
-  const baseEvents = rawRows.map(r => {
-    const attacker = normUser(r.Attacker);
-    const victim = normUser(r.Victim);
-    const roomId = normRoomId(r.Room);
-    const value = Number(r.Value || 0);
-
-    return {
-      time: (r.Time ?? "").toString().trim(),
-      attacker,
-      victim,
-      roomId,
-      roomName: roomsMap[roomId] || roomId || "Unknown",
-      value
-    };
-  });
+  const baseEvents = ingest.rows.map(r => ({
+    ...r,
+    roomName: roomNameFor(roomsMap, r.roomId)
+  }));
 
   // Collect all users from events
   const allUsersSet = new Set();
@@ -316,23 +659,34 @@ async function main() {
     if (e.victim) allUsersSet.add(e.victim);
   }
 
-  // Assign teams - anyone not in API gets "Unknown"
+  // Players who drop off the roster keep their team until the season resets.
+  // Without the API, the last roster written stands in for it.
+  const previousRoster = resetReasons.length ? null : loadJSON(path.join(outDir, "teams.json"), null);
+  if (!teamRecords && previousRoster) console.warn("Warning: using the last saved roster for team assignments");
+  const roster = teamRecords ? buildTeamRoster(teamRecords, previousRoster) : previousRoster;
+  const resolveTeam = createTeamResolver(roster);
+
+  // Assign teams (see docs/lib/teams.mjs for the rules)
   const resolvedTeams = {};
   for (const user of allUsersSet) {
-    resolvedTeams[user] = teamMap[user] || "Unknown";
+    resolvedTeams[user] = resolveTeam(user);
   }
+  const teamOf = user => resolvedTeams[user]?.team || "Unknown";
 
   const teamCounts = { Penguin: 0, Reindeer: 0, Unknown: 0 };
-  for (const team of Object.values(resolvedTeams)) {
+  const ruleCounts = {};
+  for (const { team, rule } of Object.values(resolvedTeams)) {
     teamCounts[team] = (teamCounts[team] || 0) + 1;
+    ruleCounts[rule] = (ruleCounts[rule] || 0) + 1;
   }
   console.log(`Team assignments: Penguin=${teamCounts.Penguin}, Reindeer=${teamCounts.Reindeer}, Unknown=${teamCounts.Unknown}`);
+  console.log(`  by rule: ${Object.entries(ruleCounts).map(([rule, n]) => `${rule}=${n}`).join(", ")}`);
 
   // Enrich events with resolved teams
   const events = baseEvents.map(e => ({
     ...e,
-    attackerTeam: resolvedTeams[e.attacker] || "Unknown",
-    victimTeam: resolvedTeams[e.victim] || "Unknown"
+    attackerTeam: teamOf(e.attacker),
+    victimTeam: teamOf(e.victim)
   }));
 
   // --- USER AGGREGATES ---
@@ -381,11 +735,10 @@ async function main() {
     const attacks = attacksByUser.get(user) || 0;
     const hitsTaken = hitsTakenByUser.get(user) || 0;
     const ratio = safeRatio(attacks, hitsTaken);
-    const team = resolvedTeams[user] || "Unknown";
-
     return {
       user,
-      team,
+      team: teamOf(user),
+      teamRule: resolvedTeams[user]?.rule || "unlisted",
       attacks,
       hitsTaken,
       ratio
@@ -399,7 +752,7 @@ async function main() {
 
   const scatterPoints = topUsersList.map(u => ({
     user: u,
-    team: resolvedTeams[u] || "Unknown",
+    team: teamOf(u),
     attacks: attacksByUser.get(u) || 0,
     hitsTaken: hitsTakenByUser.get(u) || 0,
     ratio: safeRatio(attacksByUser.get(u) || 0, hitsTakenByUser.get(u) || 0)
@@ -443,9 +796,9 @@ async function main() {
 
   // Team stats summary
   const teamStats = {
-    Penguin: { users: 0, attacks: 0, hitsTaken: 0 },
-    Reindeer: { users: 0, attacks: 0, hitsTaken: 0 },
-    Unknown: { users: 0, attacks: 0, hitsTaken: 0 }
+    Penguin: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: 0 },
+    Reindeer: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: 0 },
+    Unknown: { users: 0, attacks: 0, hitsTaken: 0, adjustedPoints: 0 }
   };
 
   for (const u of users) {
@@ -455,11 +808,26 @@ async function main() {
     ts.hitsTaken += u.hitsTaken;
   }
 
+  // Adjusted points: sum of hit values per attacker team (matches the frontend)
+  for (const e of events) {
+    if (!Number.isFinite(e.value)) continue;
+    (teamStats[e.attackerTeam] || teamStats.Unknown).adjustedPoints += e.value;
+  }
+
   const summary = {
-    generatedAt: new Date().toISOString(),
+    generatedAt: options.generatedAt,
     totalRows: events.length,
     totalUsers: users.length,
 
+    ingest: {
+      fetchedRows: fetchedRows.length,
+      newRows: ingest.added,
+      duplicateRows: ingest.duplicates,
+      rejectedRows: ingest.rejected,
+      earliestFetched: ingest.earliest,
+      latestFetched: ingest.latest
+    },
+
     teamStats,
     teamVsTeam: topN(teamVsTeam, 12, "pair", "count"),
 
@@ -479,23 +847,42 @@ async function main() {
   };
 
   const battles = detectBattles(events);
+  summary.battleRecord = battleRecord(battles);
 
   // Write output files
-  const outDir = path.join(process.cwd(), "docs", "data");
   fs.mkdirSync(outDir, { recursive: true });
 
-  fs.writeFileSync(path.join(outDir, "events.json"), JSON.stringify(events, null, 2));
-  fs.writeFileSync(path.join(outDir, "users.json"), JSON.stringify(users, null, 2));
-  fs.writeFileSync(path.join(outDir, "rooms_summary.json"), JSON.stringify(roomsSummary, null, 2));
-  fs.writeFileSync(path.join(outDir, "summary.json"), JSON.stringify(summary, null, 2));
-  fs.writeFileSync(path.join(outDir, "battles.json"), JSON.stringify(battles, null, 2));
+  const outputs = {
+    "users.json": users,
+    "rooms_summary.json": roomsSummary,
+    "summary.json": summary,
+    "battles.json": battles
+  };
+
+  // Keep the last known roster when the teams API is down, so archives still get one
+  if (teamRecords) outputs["teams.json"] = roster;
 
+  writeHistory(historyPath, ingest.rows);
+  const eventDays = writeEventShards(outDir, events, options.generatedAt);
+  const profileCount = writeUserProfiles(outDir, buildUserProfiles(events, users, battles), options.generatedAt);
+  // Superseded by the day shards
+  fs.rmSync(path.join(outDir, "events.json"), { force: true });
+  for (const [file, data] of Object.entries(outputs)) {
+    fs.writeFileSync(path.join(outDir, file), JSON.stringify(data, null, 2));
+  }
+
+  const display = p => {
+    const rel = path.relative(process.cwd(), p);
+    return rel.startsWith("..") ? p : rel || ".";
+  };
+  const displayDir = display(outDir);
   console.log("\nOutput files written:");
-  console.log("  - docs/data/events.json");
-  console.log("  - docs/data/users.json");
-  console.log("  - docs/data/rooms_summary.json");
-  console.log("  - docs/data/summary.json");
-  console.log("  - docs/data/battles.json");
+  console.log(`  - ${display(historyPath)}`);
+  for (const file of Object.keys(outputs)) {
+    console.log(`  - ${path.join(displayDir, file)}`);
+  }
+  console.log(`  - ${path.join(displayDir, EVENTS_INDEX_FILE)} (${eventDays.length} day shards)`);
+  console.log(`  - ${path.join(displayDir, USERS_INDEX_FILE)} (${profileCount} user profiles)`);
   console.log("\nBuild complete!");
 }
 